@@ -0,0 +1,86 @@
+// ============================================
+// Assets for compressed device profiles
+// ============================================
+// Runs before start and build (npm run prepare-assets):
+//   - copies the Draco and Basis decoders shipped with three into
+//     public/decoders/, the component's default `decoderPath`, so nothing
+//     is fetched from a CDN
+//   - Draco-compresses each catalog GLB into the `compressed.modelPath`
+//     its profile names (see src/devices.js) when the source is newer.
+//     The source GLBs aren't in the repo; missing ones are skipped and the
+//     component falls back to the uncompressed path.
+import { copyFile, mkdir, readdir, stat } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { NodeIO } from "@gltf-transform/core";
+import {
+  ALL_EXTENSIONS,
+  KHRDracoMeshCompression,
+} from "@gltf-transform/extensions";
+import draco3d from "draco3dgltf";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const publicDir = join(root, "public");
+const threeLibs = join(root, "node_modules/three/examples/jsm/libs");
+
+// [source, compressed] under public/, matching the catalog's modelPath and
+// compressed.modelPath
+const models = [["14_Pro_Model.glb", "14_Pro_Model.draco.glb"]];
+
+async function copyDir(from, to) {
+  await mkdir(to, { recursive: true });
+  const files = await readdir(from, { withFileTypes: true });
+  await Promise.all(
+    files
+      .filter(
+        (file) =>
+          file.isFile() &&
+          /\.(js|wasm)$/.test(file.name) &&
+          !/encoder/.test(file.name)
+      )
+      .map((file) => copyFile(join(from, file.name), join(to, file.name)))
+  );
+}
+
+async function modifiedTime(path) {
+  try {
+    return (await stat(path)).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function compressModels() {
+  let io = null;
+  for (const [source, target] of models) {
+    const sourcePath = join(publicDir, source);
+    const targetPath = join(publicDir, target);
+    const sourceTime = await modifiedTime(sourcePath);
+    if (sourceTime === null) {
+      console.log(`prepare-assets: no public/${source}, skipping`);
+      continue;
+    }
+    if ((await modifiedTime(targetPath)) >= sourceTime) continue;
+
+    io ??= new NodeIO()
+      .registerExtensions(ALL_EXTENSIONS)
+      .registerDependencies({
+        "draco3d.decoder": await draco3d.createDecoderModule(),
+        "draco3d.encoder": await draco3d.createEncoderModule(),
+      });
+    const document = await io.read(sourcePath);
+    document
+      .createExtension(KHRDracoMeshCompression)
+      .setRequired(true)
+      .setEncoderOptions({
+        method: KHRDracoMeshCompression.EncoderMethod.EDGEBREAKER,
+      });
+    await io.write(targetPath, document);
+    console.log(`prepare-assets: wrote public/${target}`);
+  }
+}
+
+// Only the glTF decoder build is needed for GLBs
+await copyDir(join(threeLibs, "draco/gltf"), join(publicDir, "decoders/draco"));
+await copyDir(join(threeLibs, "basis"), join(publicDir, "decoders/basis"));
+await compressModels();
@@ -1,5 +1,5 @@
 import CrossSection3DScrollGLB from "./CrossSection3DScrollGLB";
 import screenImg from "./Screen.png";
 export default function App() {
-  return <CrossSection3DScrollGLB />;
+  return <CrossSection3DScrollGLB phoneOffset={-0.5} />;
 }
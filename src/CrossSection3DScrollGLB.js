@@ -1,141 +1,1300 @@
-import screenImg from "./Screen.png";
-import internalsImg from "./internals.jpg";
-import { useState, useCallback, useRef, useEffect, useMemo } from "react";
-import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import {
+  useState,
+  useCallback,
+  useRef,
+  useEffect,
+  useMemo,
+  createContext,
+  useContext,
+  useSyncExternalStore,
+  Suspense,
+  forwardRef,
+  useImperativeHandle,
+  Component,
+} from "react";
+import { Canvas, useFrame, useThree, useLoader } from "@react-three/fiber";
 import {
   OrbitControls,
   Environment,
+  Lightformer,
   ContactShadows,
   useGLTF,
-  useTexture,
   Center,
   Resize,
+  Html,
+  Line,
+  useProgress,
 } from "@react-three/drei";
 import { motion, AnimatePresence } from "framer-motion";
 import * as THREE from "three";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
 import { gsap } from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { ScrollToPlugin } from "gsap/ScrollToPlugin";
+
+import { deviceCatalog, defaultDeviceId } from "./devices";
+import {
+  messageKeys,
+  resolveLocale,
+  resolveMessages,
+  localeDirection,
+  fontStackFor,
+  formatMessage,
+} from "./messages";
+import { resolveTheme, themeVariables } from "./themes";
+import { resolveLighting } from "./lighting";
+import { createAnalytics } from "./analytics";
+import { validateManifest, validateProps, loadManifest } from "./manifest";
+import {
+  scenarioCatalog,
+  scenarioStatuses,
+  statusMessageKey,
+  scenarioName,
+  scenarioTints,
+} from "./scenarios";
 
-gsap.registerPlugin(ScrollTrigger);
+gsap.registerPlugin(ScrollTrigger, ScrollToPlugin);
 
 // ============================================
 // Utility
 // ============================================
+// Configuration warnings only; production builds stay silent
+export function devWarn(...args) {
+  if (process.env.NODE_ENV !== "production") console.warn(...args);
+}
+
+function isWebGLAvailable() {
+  if (typeof document === "undefined") return false;
+  try {
+    const canvas = document.createElement("canvas");
+    return !!(
+      window.WebGLRenderingContext &&
+      (canvas.getContext("webgl2") || canvas.getContext("webgl"))
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Hidden on screen, still read by assistive technology
+const visuallyHidden = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+function stepButtonStyle(disabled) {
+  return {
+    padding: "6px 14px",
+    border: "1px solid var(--iglass-muted)",
+    borderRadius: 999,
+    background: "transparent",
+    color: "var(--iglass-muted)",
+    fontSize: "var(--iglass-font-label)",
+    fontFamily: "inherit",
+    cursor: disabled ? "default" : "pointer",
+    opacity: disabled ? 0.4 : 1,
+  };
+}
+
 function mapRange(value, inMin, inMax, outMin, outMax) {
   const clamped = Math.max(inMin, Math.min(inMax, value));
   if (inMax === inMin) return outMin;
   return outMin + ((clamped - inMin) / (inMax - inMin)) * (outMax - outMin);
 }
 
+function mediaQuery(query) {
+  return typeof window !== "undefined" && window.matchMedia
+    ? window.matchMedia(query)
+    : null;
+}
+
+// Subscribes to a media query; `fallback` stands in where there is none
+function useMediaQuery(query, fallback) {
+  const list = useMemo(() => mediaQuery(query), [query]);
+  const subscribe = useCallback(
+    (onChange) => {
+      list?.addEventListener("change", onChange);
+      return () => list?.removeEventListener("change", onChange);
+    },
+    [list]
+  );
+  return useSyncExternalStore(
+    subscribe,
+    () => list?.matches ?? fallback,
+    () => fallback
+  );
+}
+
+function usePrefersDark() {
+  return useMediaQuery("(prefers-color-scheme: dark)", true);
+}
+
+function usePrefersReducedMotion() {
+  return useMediaQuery("(prefers-reduced-motion: reduce)", false);
+}
+
 // ============================================
 // Default props
 // ============================================
-const defaultProps = {
-  glassHeadline: "Strongest Aftermarket Front Glass",
-  glassDescription:
-    "Premium replacement glass with factory-grade OCA adhesive—fitted without touching your original display.",
-  glassLabel: "Glass",
-  oledHeadline: "Genuine Display Preserved",
-  oledDescription:
-    "Your phone's original OLED stays untouched. No aftermarket swaps. No LCD downgrades.",
-  oledLabel: "OLED",
-  phoneHeadline: "Your Phone",
-  phoneDescription:
-    "Everything else—camera, battery, logic board—exactly as it was. We only work on what's broken.",
-  phoneLabel: "Phone",
-  promptText: "Tap a layer to learn more",
-  introText: "Glass-only repair preserves your original display.",
-  explodeDistance: 1.2,
+export const defaultProps = {
+  // Showcase manifest (see manifest.js): URL of a JSON file or the parsed
+  // object. Props passed directly still win over its fields. Keep an
+  // inline object stable — a new one re-applies every field.
+  manifest: null,
+  // UI copy comes from message bundles (see messages.js). `locale` picks
+  // the bundle (null follows <html lang>, then the browser); `messages`
+  // adds or overrides bundles, e.g. { "fr-CA": { promptText: "..." } }.
+  // Copy props such as glassHeadline or promptText override both.
+  locale: null,
+  messages: null,
+  // "ltr" | "rtl"; null derives it from the locale
+  dir: null,
+  // How progress is driven:
+  //   "scroll"   — pinned while the page scrolls scrollDistance viewports
+  //   "autoplay" — loops explode/reassemble every autoplayDuration seconds,
+  //                paused on hover, while a layer is selected or offscreen
+  //   "stepper"  — previous/next buttons through the explode states
+  //   "static"   — fully exploded, no animation
+  // Users who prefer reduced motion get "stepper" instead of scroll or
+  // autoplay. Every mode but scroll sizes to its container, so the section
+  // also fits modals and carousels.
+  mode: "scroll",
   scrollDistance: 2,
+  autoplayDuration: 8,
   glassStagger: [0, 0.6],
   oledStagger: [0.15, 0.75],
   phoneStagger: [0.3, 0.9],
-  accentColor: "rgba(100, 160, 255, 1)",
-  backgroundColor: "#0a0a0c",
-  textColor: "rgba(255, 255, 255, 0.95)",
-  mutedTextColor: "rgba(255, 255, 255, 0.5)",
-  modelPath: "/14_Pro_Model.glb",
-  screenTexture: screenImg,
-  internalsTexture: internalsImg,
+  // How far the phone body travels over phoneStagger, in multiples of
+  // explodeDistance like the other layers' explodeOffset. Negative drops
+  // it back as the front layers lift off (e.g. -0.5); 0 keeps it still.
+  phoneOffset: 0,
+  // "dark" | "light" | "auto" (follows prefers-color-scheme), or an object
+  // of theme tokens with an optional `extends` preset (see themes.js).
+  // accentColor, backgroundColor, textColor and mutedTextColor may still be
+  // passed as props and override the theme.
+  theme: "dark",
+  // Lighting rig (see lighting.js): "studio" | "dramatic" | "soft" |
+  // "product-white", or an object of overrides with an optional `extends`
+  // rig. Environments are generated locally; nothing is fetched.
+  lighting: "studio",
+  // Device profile id from the catalog (see devices.js). `modelPath`,
+  // `screenTexture`, `internalsTexture` and `explodeDistance` may still be
+  // passed as props and override the profile.
+  device: defaultDeviceId,
+  // Extra or replacement profiles, merged over the built-in catalog
+  devices: null,
+  // Show buttons over the canvas to swap between catalog models (only
+  // drawn when the catalog has more than one)
+  showDeviceSwitcher: false,
+  // Layer definitions (see buildDefaultLayers); null builds the default
+  // glass/OLED/phone stack from the props above
+  layers: null,
+  // Optional controlled state — leave `progress` (0→1) and `selectedLayer`
+  // (layer id or null) undefined to let scroll and clicks drive them
+  onProgressChange: null,
+  onLayerSelect: null,
+  onExplodedChange: null,
+  // Analytics sink called with every engagement event (see analytics.js);
+  // consoleSink from analytics.js logs them while testing
+  onEvent: null,
+  // Labels pinned to points on a layer (see Hotspot), e.g.
+  // { id: "oca", layer: "glass", position: [0, 4, 0], label: "OCA adhesive" }
+  hotspots: [],
+  // Clipping-plane cross-section: null (off), true (defaultCrossSection)
+  // or a partial config merged over defaultCrossSection
+  crossSection: null,
+  // Story chapters (see buildDefaultStages): null keeps the stagger-driven
+  // explode, true uses the built-in chapters, or pass an array of stages.
+  // Stages replace the progress bar with step dots.
+  stages: null,
+  // Scroll-driven camera path with focus-on-selection: true (defaultCamera),
+  // a partial config merged over it, or false for a fixed camera
+  camera: true,
+  // Render quality tier (see qualityTiers): "auto" adapts to frame time,
+  // or a tier name to pin it
+  quality: "auto",
+  // "demand" renders only while something moves; "always" every frame.
+  // Either way rendering stops while the section is offscreen.
+  frameloop: "demand",
+  // Repair scenario id (see scenarios.js) colour-coding each layer as
+  // replaced, preserved or downgraded; null turns the coding off
+  scenario: null,
+  // Extra or replacement scenarios, merged over the built-in catalog
+  scenarios: null,
+  // Second scenario shown on the right of an A/B slider over the canvas
+  compareScenario: null,
+  // Show buttons over the canvas to switch scenario
+  showScenarioToggle: false,
+  // Static path the Draco (draco/) and Basis (basis/) decoders are served
+  // from, used for compressed device assets. `npm run prepare-assets`
+  // (run before start and build) copies them into public/decoders/.
+  decoderPath: "/decoders/",
+  // Static fallback for browsers without WebGL, lost contexts and failed
+  // model/texture loads: optional poster image plus the layer copy as a list
+  fallbackPoster: null,
+  // On-screen inspector: mesh → layer table, bounding boxes, layer
+  // visibility toggles, UV remap stats, texture sizes and live progress
+  debug: false,
+  // Dynamic OLED content instead of the device's static screenTexture:
+  // a source, or [{ range: [start, end], source }] to switch by scroll
+  // progress (see useScreenContent). null keeps the static image. Keep the
+  // value stable — a new array reloads every source.
+  screenContent: null,
+  // Progress width of the crossfade between screenContent ranges
+  screenCrossfade: 0.05,
+  // Pixel size of the canvas the screen content is composed on
+  screenContentSize: [1179, 2556],
 };
 
 // ============================================
-// Global scroll progress (updated by GSAP, read by useFrame)
+// Layer definitions
 // ============================================
-const scrollState = {
-  explosion: 0,
-  glassOffset: 0,
-  oledOffset: 0,
-  phoneOffset: 0,
-};
+// A layer is one clickable slice of the exploded phone:
+//   id            — key used for selection and scroll offsets
+//   label, headline, description — info panel copy
+//   match         — mesh-name matcher: substring, RegExp, predicate(mesh) or
+//                   an array of those. A layer without any matcher claims
+//                   every mesh no other layer matched.
+//   material      — preset name (see materialPresets), MeshStandardMaterial
+//                   params object, or factory (mesh, ctx) => THREE.Material
+//   renderOrder   — draw order (transparent layers last)
+//   motion        — translation, rotation, scale and easing of the explode
+//                   over the stagger range (see resolveLayerMotion)
+//   explodeOffset — shorthand for a motion that only travels this multiple
+//                   of explodeDistance along local -Z
+//   stagger       — [start, end] scroll progress range of the motion
+//   parts         — optional [{ match, material, renderOrder }] when one
+//                   layer mixes meshes that need different materials
+//   internals     — attach the internals teardown plane to this layer
+//
+// Meshes are claimed by the first layer (and part) whose matcher accepts
+// them, so more specific layers must come first.
+export function buildDefaultLayers({
+  glassHeadline,
+  glassDescription,
+  glassLabel,
+  oledHeadline,
+  oledDescription,
+  oledLabel,
+  phoneHeadline,
+  phoneDescription,
+  phoneLabel,
+  glassStagger,
+  oledStagger,
+  phoneStagger,
+  phoneOffset = 0,
+}) {
+  return [
+    {
+      id: "glass",
+      label: glassLabel,
+      headline: glassHeadline,
+      description: glassDescription,
+      explodeOffset: 2.0,
+      stagger: glassStagger,
+      parts: [
+        // Bezel must be checked BEFORE generic "glass"
+        { match: "bezel", material: "glassBezel", renderOrder: 2 },
+        { match: "glass", material: "glassFront", renderOrder: 3 },
+      ],
+    },
+    {
+      id: "oled",
+      label: oledLabel,
+      headline: oledHeadline,
+      description: oledDescription,
+      match: ["display", "oled"],
+      material: "screen",
+      renderOrder: 1,
+      explodeOffset: 1.0,
+      stagger: oledStagger,
+    },
+    {
+      id: "phone",
+      label: phoneLabel,
+      headline: phoneHeadline,
+      description: phoneDescription,
+      material: "original",
+      renderOrder: 0,
+      explodeOffset: phoneOffset,
+      stagger: phoneStagger,
+      internals: true,
+    },
+  ];
+}
+
+// A layer's motion, all reached at the end of its stagger range:
+//   translate — [x, y, z] in multiples of the device's explodeDistance
+//   rotate    — [x, y, z] Euler angles in radians, for tilted or fanned
+//               explodes
+//   scale     — one factor or [x, y, z]
+//   ease      — GSAP ease name ("power2.out", "back.out(1.7)") or a
+//               (t) => t function shaping the stagger; linear by default
+// e.g. { translate: [0.4, 0, -2], rotate: [0, -0.3, 0.1], ease: "power3.out" }
+export function resolveLayerMotion({ id, motion, explodeOffset = 0 }) {
+  const scale = motion?.scale ?? 1;
+  let ease = gsap.parseEase(motion?.ease || "none");
+  if (!ease) {
+    devWarn(`Unknown ease "${motion.ease}" on layer "${id}", using linear`);
+    ease = gsap.parseEase("none");
+  }
+  return {
+    translate: motion?.translate || [0, 0, -explodeOffset],
+    rotate: motion?.rotate || [0, 0, 0],
+    scale: Array.isArray(scale) ? scale : [scale, scale, scale],
+    ease,
+  };
+}
+
+function matchesMesh(matcher, mesh) {
+  if (matcher == null) return false;
+  if (Array.isArray(matcher)) return matcher.some((m) => matchesMesh(m, mesh));
+  if (typeof matcher === "function") return !!matcher(mesh);
+  if (matcher instanceof RegExp) return matcher.test(mesh.name);
+  return mesh.name.toLowerCase().includes(String(matcher).toLowerCase());
+}
+
+function layerParts(layer) {
+  return layer.parts || [layer];
+}
 
 // ============================================
-// iPhone Exploded Model Component
+// Story stages
 // ============================================
-function IPhoneExploded({
-  modelPath,
-  screenTexture,
-  internalsTexture,
-  selectedLayer,
-  onLayerClick,
-  explodeDistance,
+// Stages split the scroll into named chapters that replace the per-layer
+// staggers:
+//   id              — key for the step dots and caption transitions
+//   title, caption  — info panel copy while the stage is active
+//   range           — [start, end] scroll progress; omitted ranges split
+//                     the scroll evenly
+//   highlight       — layer id highlighted (and framed) during the stage
+//                     unless the user has selected one
+//   explode         — 0→1 layer spread reached by the end of the stage: one
+//                     number for every layer or { [layerId]: amount }.
+//                     Unlisted layers hold where the previous stage left
+//                     them, so a closing stage of 0 reassembles the phone.
+export function buildDefaultStages({
+  stageCrackedTitle,
+  stageCrackedCaption,
+  stageSeparateTitle,
+  stageSeparateCaption,
+  stageInspectTitle,
+  stageInspectCaption,
+  stageReassembleTitle,
+  stageReassembleCaption,
 }) {
-  const { scene } = useGLTF(modelPath);
-  const clonedScene = useMemo(() => scene.clone(true), [scene]);
+  return [
+    {
+      id: "cracked",
+      title: stageCrackedTitle,
+      caption: stageCrackedCaption,
+      range: [0, 0.2],
+      highlight: "glass",
+      explode: 0,
+    },
+    {
+      id: "separate",
+      title: stageSeparateTitle,
+      caption: stageSeparateCaption,
+      range: [0.2, 0.45],
+      explode: 1,
+    },
+    {
+      id: "inspect",
+      title: stageInspectTitle,
+      caption: stageInspectCaption,
+      range: [0.45, 0.75],
+      highlight: "oled",
+    },
+    {
+      id: "reassemble",
+      title: stageReassembleTitle,
+      caption: stageReassembleCaption,
+      range: [0.75, 1],
+      explode: 0,
+    },
+  ];
+}
 
-  const { gl } = useThree();
-  const maxAniso = gl.capabilities.getMaxAnisotropy();
+function resolveStages(stages) {
+  if (!stages?.length) return null;
+  return stages.map((stage, i) => ({
+    ...stage,
+    range: stage.range || [i / stages.length, (i + 1) / stages.length],
+  }));
+}
 
-  // Load screen texture — must set flipY BEFORE GPU upload
-  const oledTexture = useTexture(screenTexture);
-  oledTexture.flipY = false;
-  oledTexture.colorSpace = THREE.SRGBColorSpace;
-  oledTexture.generateMipmaps = true;
-  oledTexture.minFilter = THREE.LinearMipmapLinearFilter; // trilinear
-  oledTexture.magFilter = THREE.LinearFilter;
-  oledTexture.anisotropy = maxAniso;
-  oledTexture.wrapS = THREE.ClampToEdgeWrapping;
-  oledTexture.wrapT = THREE.ClampToEdgeWrapping;
-  oledTexture.needsUpdate = true;
+// Index of the stage progress `p` is in; gaps belong to the stage before
+function stageIndexAt(stages, p) {
+  let index = 0;
+  stages.forEach((stage, i) => {
+    if (p >= stage.range[0]) index = i;
+  });
+  return index;
+}
 
-  // Load internals teardown texture
-  const internTex = useTexture(internalsTexture);
-  internTex.colorSpace = THREE.SRGBColorSpace;
-  internTex.generateMipmaps = true;
-  internTex.minFilter = THREE.LinearMipmapLinearFilter; // trilinear
-  internTex.magFilter = THREE.LinearFilter;
-  internTex.anisotropy = maxAniso;
-  internTex.wrapS = THREE.ClampToEdgeWrapping;
-  internTex.wrapT = THREE.ClampToEdgeWrapping;
-  internTex.needsUpdate = true;
+// Per-layer 0→1 spread at progress `p`, easing from each stage's starting
+// spread to its explode targets across the stage's range
+function stageOffsets(stages, p, layers, out = {}) {
+  const from = {};
+  layers.forEach(({ id }) => {
+    from[id] = 0;
+  });
+  for (const { explode, range } of stages) {
+    const t = p < range[1] ? mapRange(p, range[0], range[1], 0, 1) : 1;
+    layers.forEach(({ id }) => {
+      let to = from[id];
+      if (typeof explode === "number") to = explode;
+      else if (explode?.[id] !== undefined) to = explode[id];
+      out[id] = THREE.MathUtils.lerp(from[id], to, t);
+      from[id] = to;
+    });
+    if (t < 1) return out;
+  }
+  return out;
+}
 
-  // Debug: verify what the GPU actually received
+// Just before a stage ends, where its explode targets are reached
+function stageStop({ range }) {
+  return THREE.MathUtils.lerp(range[0], range[1], 0.95);
+}
+
+const MODES = ["scroll", "autoplay", "stepper", "static"];
+
+function resolveMode(mode, reducedMotion) {
+  if (!MODES.includes(mode)) {
+    devWarn(`Unknown mode "${mode}", using "scroll"`);
+    return resolveMode("scroll", reducedMotion);
+  }
+  if (reducedMotion && (mode === "scroll" || mode === "autoplay")) {
+    return "stepper";
+  }
+  return mode;
+}
+
+// Progress values the stepper moves between: every stage's stop, or
+// assembled followed by the point each layer finishes its stagger
+function explodeSteps(layers, stages) {
+  if (stages) return stages.map(stageStop);
+  const ends = layers.map(({ stagger = [0, 1] }) => stagger[1]);
+  return [...new Set([0, ...ends])].sort((a, b) => a - b);
+}
+
+// Progress with the layers spread furthest, shown in static mode
+function fullyExplodedProgress(layers, stages) {
+  if (!stages) return 1;
+  const spread = (p) =>
+    Object.values(stageOffsets(stages, p, layers)).reduce(
+      (sum, offset) => sum + offset,
+      0
+    );
+  return explodeSteps(layers, stages).reduce((best, p) =>
+    spread(p) > spread(best) ? p : best
+  );
+}
+
+// Screen UV strategy, set per device profile as `screenUV`:
+//   mode    — "original" keeps the GLB's UVs; "planar" projects positions
+//   axis    — projection axis for "planar": "z" maps X→U, Y→V;
+//             "x" maps Z→U, Y→V; "y" maps X→U, Z→V
+//   rotate  — quarter turns of the image: 0, 90, 180 or 270
+//   flipU, flipV — mirror the image horizontally / vertically
+//   fit     — "stretch" fills the screen; "contain" letterboxes and
+//             "cover" crops to keep the image's aspect ratio
+//   inset   — { top, right, bottom, left } fractions of the screen left
+//             out of the image area, e.g. for the Dynamic Island or notch
+// Letterbox bars and inset areas map outside 0–1 and are drawn black by
+// the screen material (see maskOutsideUV).
+const PLANAR_AXES = {
+  x: ["getZ", "getY"],
+  y: ["getX", "getZ"],
+  z: ["getX", "getY"],
+};
+
+function textureAspect(texture) {
+  const image = texture?.image;
+  const width = image?.videoWidth || image?.width;
+  const height = image?.videoHeight || image?.height;
+  return width && height ? width / height : 1;
+}
+
+// Rewrites the display mesh's UVs on its own copy of the geometry — the
+// original is shared with useGLTF's cache. Returns stats for the inspector.
+function remapScreenUVs(mesh, options, imageAspect) {
+  const source = mesh.userData.sourceGeometry || mesh.geometry;
+  mesh.userData.sourceGeometry = source;
+  if (mesh.geometry !== source) mesh.geometry.dispose();
+
+  const {
+    mode = "original",
+    axis = "z",
+    rotate = 0,
+    flipU = false,
+    flipV = false,
+    fit = "stretch",
+    inset = {},
+  } = options || {};
+  if (mode === "original") {
+    mesh.geometry = source;
+    return null;
+  }
+
+  const geometry = source.clone();
+  mesh.geometry = geometry;
+  const posAttr = geometry.attributes.position;
+  const uvAttr = geometry.attributes.uv;
+  if (!posAttr || !uvAttr) return null;
+  const [getS, getT] = PLANAR_AXES[axis] || PLANAR_AXES.z;
+
+  // Find bounding box of the mesh on the projection plane
+  let minS = Infinity,
+    maxS = -Infinity;
+  let minT = Infinity,
+    maxT = -Infinity;
+  for (let i = 0; i < posAttr.count; i++) {
+    const x = posAttr[getS](i);
+    const y = posAttr[getT](i);
+    if (x < minS) minS = x;
+    if (x > maxS) maxS = x;
+    if (y < minT) minT = y;
+    if (y > maxT) maxT = y;
+  }
+
+  const rangeS = maxS - minS || 1;
+  const rangeT = maxT - minT || 1;
+  const { top = 0, right = 0, bottom = 0, left = 0 } = inset;
+  const areaW = 1 - left - right || 1;
+  const areaH = 1 - top - bottom || 1;
+  const turns = (((Math.round(rotate / 90) % 4) + 4) % 4) | 0;
+
+  // Aspect of the image area as the rotated image sees it
+  let areaAspect = (rangeS * areaW) / (rangeT * areaH);
+  if (turns % 2) areaAspect = 1 / areaAspect;
+  let scaleU = 1,
+    scaleV = 1;
+  if (fit === "contain") {
+    scaleU = Math.max(1, areaAspect / imageAspect);
+    scaleV = Math.max(1, imageAspect / areaAspect);
+  } else if (fit === "cover") {
+    scaleU = Math.min(1, areaAspect / imageAspect);
+    scaleV = Math.min(1, imageAspect / areaAspect);
+  }
+
+  for (let i = 0; i < posAttr.count; i++) {
+    // Normalise position → 0..1 inside the inset image area
+    let s = ((posAttr[getS](i) - minS) / rangeS - left) / areaW;
+    let t = ((posAttr[getT](i) - minT) / rangeT - bottom) / areaH;
+    for (let k = 0; k < turns; k++) {
+      [s, t] = [t, 1 - s];
+    }
+    let u = 0.5 + (s - 0.5) * scaleU;
+    let v = 0.5 + (t - 0.5) * scaleV;
+    if (flipU) u = 1.0 - u;
+    if (flipV) v = 1.0 - v;
+    uvAttr.setXY(i, u, v);
+  }
+  uvAttr.needsUpdate = true;
+
+  return { vertices: posAttr.count, axis, minS, maxS, minT, maxT };
+}
+
+// Blacks out the map outside 0–1 UVs, where the clamped texture would
+// otherwise smear its edge pixels across the letterbox and inset areas
+function maskOutsideUV(shader) {
+  shader.fragmentShader = shader.fragmentShader.replace(
+    "#include <map_fragment>",
+    `#include <map_fragment>
+    #ifdef USE_MAP
+      if (any(lessThan(vMapUv, vec2(0.0))) || any(greaterThan(vMapUv, vec2(1.0)))) {
+        diffuseColor.rgb = vec3(0.0);
+      }
+    #endif`
+  );
+}
+
+// Named material overrides usable from a layer's `material` field.
+// Each receives the mesh and { screenTexture, screenUV, maxAniso, uvRemaps }.
+export const materialPresets = {
+  // Black border around the glass
+  glassBezel: () =>
+    new THREE.MeshStandardMaterial({
+      color: new THREE.Color(0x0a0a0a),
+      roughness: 0.4,
+      metalness: 0.0,
+      transparent: false,
+      depthWrite: true,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+    }),
+  // Clear front window
+  glassFront: () =>
+    new THREE.MeshStandardMaterial({
+      color: new THREE.Color(0xffffff),
+      roughness: 0.0,
+      metalness: 0.0,
+      transparent: true,
+      opacity: 0.15,
+      depthWrite: false,
+      envMapIntensity: 2.0,
+      polygonOffset: true,
+      polygonOffsetFactor: -2,
+      polygonOffsetUnits: -2,
+    }),
+  // Unlit screen image on remapped UVs
+  screen: (mesh, { screenTexture, screenUV, uvRemaps }) => {
+    const stats = remapScreenUVs(mesh, screenUV, textureAspect(screenTexture));
+    if (stats) uvRemaps.push({ mesh: mesh.name, ...stats });
+    const material = new THREE.MeshBasicMaterial({
+      map: screenTexture,
+      toneMapped: false,
+    });
+    // Kept as the base shader change when the highlight is injected
+    material.userData.baseCompile = maskOutsideUV;
+    material.userData.baseCacheKey = "screen-uv-mask";
+    material.onBeforeCompile = maskOutsideUV;
+    material.customProgramCacheKey = () => "screen-uv-mask";
+    return material;
+  },
+  // Keep the GLB material, forced opaque with sharpened textures
+  original: (mesh, { maxAniso }) => {
+    const mat = mesh.material.clone();
+    mat.transparent = false;
+    mat.depthWrite = true;
+    [
+      mat.map,
+      mat.normalMap,
+      mat.roughnessMap,
+      mat.metalnessMap,
+      mat.aoMap,
+    ].forEach((tex) => {
+      if (tex) {
+        tex.anisotropy = maxAniso;
+        tex.generateMipmaps = true;
+        tex.minFilter = THREE.LinearMipmapLinearFilter;
+        tex.needsUpdate = true;
+      }
+    });
+    return mat;
+  },
+};
+
+function resolveMaterial(material, mesh, ctx) {
+  if (material == null) return materialPresets.original(mesh, ctx);
+  if (typeof material === "function") return material(mesh, ctx);
+  if (typeof material === "string") {
+    const preset = materialPresets[material];
+    if (!preset) {
+      devWarn(`Unknown material preset "${material}", keeping original`);
+      return materialPresets.original(mesh, ctx);
+    }
+    return preset(mesh, ctx);
+  }
+  return new THREE.MeshStandardMaterial(material);
+}
+
+// ============================================
+// Selection / hover highlight
+// ============================================
+// Shared uniforms for every material in one layer, eased in useFrame.
+function createHighlightUniforms() {
+  return {
+    uHighlightColor: { value: new THREE.Color() },
+    uSelected: { value: 0 }, // rim glow + tint in the accent colour
+    uHover: { value: 0 }, // lighter lift while the pointer is over
+    uDim: { value: 0 }, // darken + desaturate while another layer is picked
+    uStatusColor: { value: new THREE.Color() },
+    uStatus: { value: 0 }, // repair scenario tint + rim in uStatusColor
+  };
+}
+
+// Injects the highlight terms into any built-in material, lit or unlit.
+// The rim is computed from our own view-space normal, so it also works on
+// MeshBasicMaterial, which does not provide one. A material's own shader
+// change, set as userData.baseCompile / baseCacheKey, runs first.
+function applyHighlight(material, uniforms) {
+  if (material.userData.highlight === uniforms) return;
+  material.userData.highlight = uniforms;
+  const { baseCompile, baseCacheKey = "" } = material.userData;
+  material.onBeforeCompile = (shader) => {
+    baseCompile?.(shader);
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nvarying vec3 vHlNormal;\nvarying vec3 vHlView;"
+      )
+      .replace(
+        "#include <project_vertex>",
+        `#include <project_vertex>
+        vHlNormal = normalize(normalMatrix * normal);
+        vHlView = -mvPosition.xyz;`
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        uniform vec3 uHighlightColor;
+        uniform float uSelected;
+        uniform float uHover;
+        uniform float uDim;
+        uniform vec3 uStatusColor;
+        uniform float uStatus;
+        varying vec3 vHlNormal;
+        varying vec3 vHlView;`
+      )
+      .replace(
+        "#include <dithering_fragment>",
+        `float hlRim = 1.0 - abs(dot(normalize(vHlNormal), normalize(vHlView)));
+        hlRim = pow(hlRim, 2.0);
+        gl_FragColor.rgb = mix(gl_FragColor.rgb, uStatusColor, uStatus * 0.3);
+        gl_FragColor.rgb += uStatusColor * hlRim * uStatus * 0.6;
+        float hlLuma = dot(gl_FragColor.rgb, vec3(0.299, 0.587, 0.114));
+        gl_FragColor.rgb = mix(gl_FragColor.rgb, vec3(hlLuma), uDim * 0.7);
+        gl_FragColor.rgb *= 1.0 - uDim * 0.55;
+        gl_FragColor.rgb += vec3(0.12) * uHover;
+        gl_FragColor.rgb = mix(gl_FragColor.rgb, uHighlightColor, uSelected * 0.08);
+        gl_FragColor.rgb += uHighlightColor * hlRim * (uSelected * 1.2 + uHover * 0.4);
+        gl_FragColor.a = max(gl_FragColor.a, hlRim * uSelected * 0.8);
+        #include <dithering_fragment>`
+      );
+  };
+  material.customProgramCacheKey = () => `${baseCacheKey}layer-highlight`;
+  material.needsUpdate = true;
+}
+
+// ============================================
+// Per-instance scroll progress (updated by GSAP, read by useFrame)
+// ============================================
+// Each CrossSection3DScrollGLB owns one store and hands it to its canvas
+// through ProgressContext, so several instances can share a page.
+function createProgressStore() {
+  const listeners = new Set();
+  const store = {
+    explosion: 0,
+    // Per-layer 0→1 progress within its stagger range (or the stage
+    // timeline when stages are set), keyed by layer id
+    offsets: {},
+    // Whether the section is in the viewport (IntersectionObserver)
+    onScreen: true,
+    update(p, layers, stages) {
+      store.explosion = p;
+      if (stages) {
+        stageOffsets(stages, p, layers, store.offsets);
+      } else {
+        layers.forEach(({ id, stagger = [0, 1] }) => {
+          store.offsets[id] = mapRange(p, stagger[0], stagger[1], 0, 1);
+        });
+      }
+      listeners.forEach((listener) => listener());
+    },
+    setOnScreen(onScreen) {
+      if (store.onScreen === onScreen) return;
+      store.onScreen = onScreen;
+      listeners.forEach((listener) => listener());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+  return store;
+}
+
+const ProgressContext = createContext(null);
+
+function useProgressStore() {
+  const store = useContext(ProgressContext);
+  if (!store) {
+    throw new Error("useProgressStore must be used inside a ProgressContext");
+  }
+  return store;
+}
+
+// Re-renders only when progress crosses `threshold`, not on every update
+function useProgressAbove(threshold) {
+  const store = useProgressStore();
+  return useSyncExternalStore(
+    store.subscribe,
+    () => store.explosion > threshold
+  );
+}
+
+// ============================================
+// Dynamic screen content
+// ============================================
+// Sources, composed onto one CanvasTexture so ranges can crossfade:
+//   "url"                                  — still image
+//   { type: "image", src }                 — still image
+//   { type: "video", src, loop = true }    — muted inline video, paused
+//                                            while offscreen or out of range
+//   { type: "sequence", frames, fps = 24, loop = true, scrub = false }
+//                                          — image sequence, timed or
+//                                            scrubbed by its scroll range
+//   { type: "canvas", draw(ctx, { progress, time, width, height }) }
+//                                          — render callback every frame
+function normalizeScreenSource(source) {
+  if (typeof source === "string") return { type: "image", src: source };
+  return source;
+}
+
+function loadImage(src) {
+  const image = new Image();
+  image.crossOrigin = "anonymous";
+  image.src = src;
+  return image;
+}
+
+function createScreenMedia(source, width, height) {
+  switch (source.type) {
+    case "video": {
+      const video = document.createElement("video");
+      video.crossOrigin = "anonymous";
+      video.muted = true;
+      video.playsInline = true;
+      video.loop = source.loop ?? true;
+      video.preload = "auto";
+      video.src = source.src;
+      return { video };
+    }
+    case "sequence":
+      return { frames: source.frames.map(loadImage) };
+    case "canvas": {
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      return { canvas, ctx: canvas.getContext("2d") };
+    }
+    default:
+      return { image: loadImage(source.src) };
+  }
+}
+
+function isDrawable(el) {
+  if (!el) return false;
+  if (el instanceof HTMLVideoElement) return el.readyState >= 2;
+  if (el instanceof HTMLImageElement) return el.complete && el.naturalWidth > 0;
+  return true;
+}
+
+// Returns a CanvasTexture showing `content`, or null when content is null
+function useScreenContent(content, crossfade, size) {
+  const progressStore = useProgressStore();
+  const invalidate = useThree((state) => state.invalidate);
+  const [width, height] = size;
+
+  // Media start downloading as soon as they exist, so they're created in
+  // an effect: every copy (StrictMode runs effects twice) is released by
+  // the cleanup
+  const [screen, setScreen] = useState(null);
   useEffect(() => {
-    if (oledTexture?.image) {
-      console.log(
-        "OLED texture:",
-        oledTexture.image.width,
-        "x",
-        oledTexture.image.height
+    if (!content) {
+      setScreen(null);
+      return;
+    }
+    const list = Array.isArray(content)
+      ? content
+      : [{ range: [0, 1], source: content }];
+    const entries = list.map(({ range = [0, 1], source }) => {
+      const normalized = normalizeScreenSource(source);
+      return {
+        range,
+        source: normalized,
+        media: createScreenMedia(normalized, width, height),
+      };
+    });
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = false;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    setScreen({
+      entries,
+      compositor: {
+        canvas,
+        ctx: canvas.getContext("2d"),
+        texture,
+        lastKey: null,
+      },
+    });
+    return () => {
+      texture.dispose();
+      entries.forEach(({ media }) => {
+        if (media.video) {
+          media.video.pause();
+          media.video.removeAttribute("src");
+          media.video.load();
+        }
+      });
+    };
+  }, [content, width, height]);
+  const entries = screen?.entries ?? null;
+  const compositor = screen?.compositor ?? null;
+
+  // Frames stop entirely offscreen, so pause from the store, not useFrame
+  useEffect(
+    () =>
+      progressStore.subscribe(() => {
+        if (progressStore.onScreen) return;
+        entries?.forEach(({ media }) => media.video?.pause());
+      }),
+    [progressStore, entries]
+  );
+
+  useFrame(({ clock }) => {
+    if (!compositor) return;
+    const p = progressStore.explosion;
+    const time = clock.elapsedTime;
+    const fade = Math.max(crossfade, 1e-4);
+
+    // Weight of each range, ramping across its inner boundaries
+    const weights = entries.map(({ range: [a, b] }) => {
+      const fadeIn =
+        a <= 0 ? 1 : Math.min(1, Math.max(0, (p - a) / fade + 0.5));
+      const fadeOut =
+        b >= 1 ? 1 : Math.min(1, Math.max(0, (b - p) / fade + 0.5));
+      return fadeIn * fadeOut;
+    });
+
+    let dynamic = false;
+    const layers = [];
+    entries.forEach(({ range, source, media }, i) => {
+      const weight = weights[i];
+      const { video } = media;
+      if (video) {
+        const shouldPlay = weight > 0 && progressStore.onScreen;
+        if (shouldPlay && video.paused) video.play().catch(() => {});
+        if (!shouldPlay && !video.paused) video.pause();
+      }
+      if (weight <= 0) return;
+
+      let el = null;
+      let key = source.type;
+      if (video) {
+        el = video;
+        dynamic = true;
+      } else if (media.frames) {
+        const n = media.frames.length;
+        const local = mapRange(p, range[0], range[1], 0, 1);
+        let index = source.scrub
+          ? Math.round(local * (n - 1))
+          : Math.floor(time * (source.fps || 24));
+        index =
+          source.loop === false || source.scrub
+            ? Math.min(index, n - 1)
+            : index % n;
+        el = media.frames[index];
+        key += index;
+        dynamic = !source.scrub;
+      } else if (media.canvas) {
+        media.ctx.clearRect(0, 0, width, height);
+        source.draw(media.ctx, { progress: p, time, width, height });
+        el = media.canvas;
+        dynamic = true;
+      } else {
+        el = media.image;
+      }
+      if (!isDrawable(el)) {
+        dynamic = true; // keep polling until it has loaded
+        return;
+      }
+      layers.push({ el, weight, key: `${i}:${key}:${weight.toFixed(3)}` });
+    });
+
+    // Moving content keeps on-demand rendering going
+    if (dynamic) invalidate();
+
+    // Still images only need a redraw when the mix changes
+    const frameKey = layers.map((l) => l.key).join("|");
+    if (!dynamic && frameKey === compositor.lastKey) return;
+    compositor.lastKey = frameKey;
+
+    const { ctx, texture } = compositor;
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, width, height);
+    layers.forEach(({ el, weight }, i) => {
+      ctx.globalAlpha = i === 0 ? 1 : weight;
+      ctx.drawImage(el, 0, 0, width, height);
+    });
+    texture.needsUpdate = true;
+  });
+
+  return compositor ? compositor.texture : null;
+}
+
+// ============================================
+// Debug inspector data (filled from inside the canvas)
+// ============================================
+function createDebugStore() {
+  const listeners = new Set();
+  let state = { meshes: [], uvRemaps: [], textures: {}, gpu: null };
+  const store = {
+    getState: () => state,
+    set(patch) {
+      state = { ...state, ...patch };
+      listeners.forEach((listener) => listener());
+    },
+    setTexture(name, width, height) {
+      store.set({ textures: { ...state.textures, [name]: [width, height] } });
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+  return store;
+}
+
+// null unless the `debug` prop is on
+const DebugContext = createContext(null);
+
+const DEBUG_COLORS = ["#ff6b6b", "#ffd93d", "#6bcb77", "#4d96ff", "#c77dff"];
+
+function isShown(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+// World-space box per mesh, coloured by layer
+function DebugBounds({ layers, layerMeshes }) {
+  const scene = useThree((state) => state.scene);
+  const helpers = useMemo(
+    () =>
+      layers.flatMap((layer, i) =>
+        layerMeshes[layer.id].map(
+          (mesh) =>
+            new THREE.BoxHelper(mesh, DEBUG_COLORS[i % DEBUG_COLORS.length])
+        )
+      ),
+    [layers, layerMeshes]
+  );
+
+  useEffect(() => {
+    helpers.forEach((helper) => scene.add(helper));
+    return () =>
+      helpers.forEach((helper) => {
+        scene.remove(helper);
+        helper.geometry.dispose();
+        helper.material.dispose();
+      });
+  }, [scene, helpers]);
+
+  useFrame(() => {
+    helpers.forEach((helper) => {
+      helper.visible = isShown(helper.object);
+      if (helper.visible) helper.update();
+    });
+  });
+
+  return null;
+}
+
+// ============================================
+// Compressed assets
+// ============================================
+// Device profiles may list Draco/Meshopt GLBs and KTX2 (Basis) textures
+// under `compressed`. Their decoders load from `decoderPath`, never a CDN,
+// and a failed compressed load falls back to the original assets.
+function isKTX2(url) {
+  return /\.ktx2(\?|#|$)/i.test(url);
+}
+
+function textureLoaderFor(url) {
+  return isKTX2(url) ? KTX2Loader : THREE.TextureLoader;
+}
+
+// One KTX2 transcoder per renderer + path for textures embedded in GLBs
+const gltfKTX2Loaders = new WeakMap();
+
+function gltfKTX2Loader(gl, decoderPath) {
+  const loaders = gltfKTX2Loaders.get(gl) || {};
+  gltfKTX2Loaders.set(gl, loaders);
+  loaders[decoderPath] ??= new KTX2Loader()
+    .setTranscoderPath(`${decoderPath}basis/`)
+    .detectSupport(gl);
+  return loaders[decoderPath];
+}
+
+// Compressed URLs that failed to load (or came back as a page, e.g. the dev
+// server's index.html for a variant that was never generated). They stay
+// skipped for the rest of the session rather than being fetched again.
+const missingAssets = new Set();
+
+function usableCompressed(device) {
+  return Object.entries(device.compressed || {}).filter(
+    ([, url]) => url && !missingAssets.has(url)
+  );
+}
+
+// The profile with whichever compressed variants are still worth trying
+function withCompressed(device) {
+  return { ...device, ...Object.fromEntries(usableCompressed(device)) };
+}
+
+function useDeviceGLTF(url, decoderPath) {
+  const gl = useThree((state) => state.gl);
+  return useGLTF(url, `${decoderPath}draco/`, true, (loader) =>
+    loader.setKTX2Loader(gltfKTX2Loader(gl, decoderPath))
+  );
+}
+
+function useDeviceTexture(url, decoderPath) {
+  const gl = useThree((state) => state.gl);
+  return useLoader(textureLoaderFor(url), url, (loader) => {
+    if (loader instanceof KTX2Loader) {
+      loader.setTranscoderPath(`${decoderPath}basis/`).detectSupport(gl);
+    }
+  });
+}
+
+// Starts loading a profile's assets the way the scene will — compressed
+// variants first, decoders from decoderPath — so the cache entries match.
+// KTX2 needs a renderer to pick a transcode target, so without one (at
+// import) the model and any .ktx2 textures are only fetched into the HTTP
+// cache; a GLB may embed KTX2 textures.
+function preloadDevice(profile, decoderPath, gl) {
+  const assets = withCompressed(profile);
+  const warm = (url) => {
+    if (typeof fetch !== "function") return;
+    fetch(url)
+      .then((response) => {
+        const type = response.headers.get("content-type") || "";
+        if (!response.ok || type.includes("text/html")) missingAssets.add(url);
+      })
+      .catch(() => missingAssets.add(url));
+  };
+  if (gl) {
+    useGLTF.preload(assets.modelPath, `${decoderPath}draco/`, true, (loader) =>
+      loader.setKTX2Loader(gltfKTX2Loader(gl, decoderPath))
+    );
+  } else {
+    warm(assets.modelPath);
+  }
+  [assets.screenTexture, assets.internalsTexture].forEach((url) => {
+    if (!url) return;
+    if (!isKTX2(url)) {
+      useLoader.preload(THREE.TextureLoader, url);
+    } else if (gl) {
+      useLoader.preload(KTX2Loader, url, (loader) =>
+        loader.setTranscoderPath(`${decoderPath}basis/`).detectSupport(gl)
       );
+    } else {
+      warm(url);
+    }
+  });
+}
+
+function clearAssets(assets) {
+  if (assets.modelPath) useGLTF.clear(assets.modelPath);
+  [assets.screenTexture, assets.internalsTexture].forEach((url) => {
+    if (url) useLoader.clear(textureLoaderFor(url), url);
+  });
+}
+
+function clearDeviceAssets(device) {
+  [device, device.compressed].forEach(
+    (assets) => assets && clearAssets(assets)
+  );
+}
+
+// Marks a device's compressed variants as missing and drops their failed
+// loads from the cache, so every later mount goes straight to the originals
+function forgetCompressed(device) {
+  const compressed = usableCompressed(device);
+  compressed.forEach(([, url]) => missingAssets.add(url));
+  clearAssets(Object.fromEntries(compressed));
+}
+
+// Compressed textures carry their own mipmaps and orientation, so only
+// plain images get flipped and mipmapped on upload
+function prepareTexture(texture, { flipY, anisotropy }) {
+  if (!texture.isCompressedTexture) {
+    if (flipY !== undefined) texture.flipY = flipY;
+    texture.generateMipmaps = true;
+  }
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = THREE.LinearMipmapLinearFilter; // trilinear
+  texture.magFilter = THREE.LinearFilter;
+  texture.anisotropy = anisotropy;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.needsUpdate = true;
+}
+
+// Renders children with the device's compressed variants merged in, and
+// again with the original assets if any of them fails to load. Errors
+// with nothing left to fall back to go on to SceneErrorBoundary.
+class CompressedAssetBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  // Called for errors while mounting too — a remount can hit a failed
+  // load still in the cache before anything has committed
+  componentDidCatch(error) {
+    if (!usableCompressed(this.props.device).length) return;
+    devWarn("Compressed assets failed, using originals:", error);
+    forgetCompressed(this.props.device);
+    this.setState({ error: null });
+  }
+
+  render() {
+    const { device, children } = this.props;
+    if (this.state.error) {
+      if (!usableCompressed(device).length) throw this.state.error;
+      return null;
     }
-    if (internTex?.image) {
-      console.log(
-        "Internals texture:",
+    return children(withCompressed(device));
+  }
+}
+
+// ============================================
+// Internals teardown plane
+// ============================================
+function InternalsPlane({
+  texture,
+  width,
+  height,
+  radius,
+  position,
+  maxAniso,
+  highlight,
+  clippingPlanes,
+  decoderPath,
+}) {
+  // Load internals teardown texture
+  const internTex = useDeviceTexture(texture, decoderPath);
+  prepareTexture(internTex, { anisotropy: maxAniso });
+
+  const debugStore = useContext(DebugContext);
+  useEffect(() => {
+    if (debugStore && internTex?.image) {
+      debugStore.setTexture(
+        "Internals",
         internTex.image.width,
-        "x",
         internTex.image.height
       );
     }
-    console.log("GPU maxTextureSize:", gl.capabilities.maxTextureSize);
-    console.log("GPU maxAnisotropy:", maxAniso);
-  }, [oledTexture, internTex, gl, maxAniso]);
-
-  // Rounded rect geometry for internals plane (memoized)
-  const internalsGeo = useMemo(() => {
-    const w = 7.0; // slightly inset from OLED width (7.54)
-    const h = 15.2; // slightly inset from OLED height (15.92)
-    const r = 0.8; // corner radius
+  }, [debugStore, internTex]);
+
+  // Rounded rect geometry sized by the device profile (memoized)
+  const geometry = useMemo(() => {
+    const w = width;
+    const h = height;
+    const r = radius; // corner radius
     const hw = w / 2,
       hh = h / 2;
 
@@ -160,334 +1319,1717 @@ function IPhoneExploded({
     }
     uv.needsUpdate = true;
     return geo;
-  }, []);
+  }, [width, height, radius]);
 
-  const glassGroupRef = useRef();
-  const oledGroupRef = useRef();
-  const bodyGroupRef = useRef();
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <mesh position={position} renderOrder={0} geometry={geometry}>
+      <meshBasicMaterial
+        ref={(mat) => mat && highlight && applyHighlight(mat, highlight)}
+        map={internTex}
+        toneMapped={false}
+        side={THREE.DoubleSide}
+        clippingPlanes={clippingPlanes}
+      />
+    </mesh>
+  );
+}
+
+// ============================================
+// Hotspot annotation
+// ============================================
+// A label with a leader line, anchored to a point on one layer:
+//   id, layer       — hotspot key and the layer id it rides on
+//   position        — anchor in the layer's model units
+//   labelOffset     — where the label sits relative to the anchor
+//   normal          — surface direction; the label hides when it faces away
+//                     from the camera (front of the phone is local -Z)
+//   label, description — copy
+//   range           — [start, end] scroll progress where it is shown
+const _anchorPos = new THREE.Vector3();
+const _anchorNormal = new THREE.Vector3();
+const _toCamera = new THREE.Vector3();
+
+function Hotspot({ hotspot, accentColor, onSelect }) {
+  const {
+    position,
+    labelOffset = [0, 0, -2],
+    normal = [0, 0, -1],
+    label,
+    description,
+    range = [0, 1],
+  } = hotspot;
+  const progressStore = useProgressStore();
+  const anchorRef = useRef();
+  const lineRef = useRef();
+  const labelRef = useRef();
+  const opacity = useRef(0);
+
+  useFrame(({ camera }, delta) => {
+    const anchor = anchorRef.current;
+    if (!anchor) return;
+    const p = progressStore.explosion;
+    anchor.getWorldPosition(_anchorPos);
+    _anchorNormal.fromArray(normal).transformDirection(anchor.matrixWorld);
+    _toCamera.subVectors(camera.position, _anchorPos).normalize();
+    const visible =
+      p >= range[0] && p <= range[1] && _anchorNormal.dot(_toCamera) > 0;
+
+    opacity.current = THREE.MathUtils.damp(
+      opacity.current,
+      visible ? 1 : 0,
+      10,
+      delta
+    );
+    if (lineRef.current) {
+      lineRef.current.material.opacity = opacity.current;
+      lineRef.current.visible = opacity.current > 0.01;
+    }
+    if (labelRef.current) {
+      labelRef.current.style.opacity = opacity.current;
+      labelRef.current.style.pointerEvents =
+        opacity.current > 0.5 ? "auto" : "none";
+    }
+  });
+
+  return (
+    <group ref={anchorRef} position={position}>
+      <Line
+        ref={lineRef}
+        points={[[0, 0, 0], labelOffset]}
+        color={accentColor}
+        lineWidth={1}
+        transparent
+        opacity={0}
+        depthTest={false}
+        renderOrder={10}
+      />
+      <Html position={labelOffset} center zIndexRange={[10, 0]}>
+        <div
+          ref={labelRef}
+          onClick={onSelect}
+          style={{
+            opacity: 0,
+            pointerEvents: "none",
+            padding: "6px 10px",
+            background: "var(--iglass-panel)",
+            border: "1px solid var(--iglass-accent)",
+            borderRadius: 6,
+            whiteSpace: "nowrap",
+            cursor: "pointer",
+            fontFamily: "inherit",
+          }}
+        >
+          <div
+            style={{
+              color: "var(--iglass-text)",
+              fontSize: "var(--iglass-font-label)",
+              fontWeight: 600,
+            }}
+          >
+            {label}
+          </div>
+          {description && (
+            <div
+              style={{
+                color: "var(--iglass-muted)",
+                fontSize: "var(--iglass-font-caption)",
+                marginTop: 2,
+              }}
+            >
+              {description}
+            </div>
+          )}
+        </div>
+      </Html>
+    </group>
+  );
+}
+
+// ============================================
+// Cross-section (clipping plane + stencil caps)
+// ============================================
+// A plane sweeps through the assembled phone as scroll progress moves
+// through `range`. Everything on the -normal side is clipped away, and each
+// layer's cut face is filled with a flat cap so the stack reads as a solid
+// sliced profile:
+//   normal    — plane direction in the model's display space (x = width,
+//               y = height, z = towards camera)
+//   range     — [start, end] scroll progress that drives the sweep, so it
+//               can run before, during or after the explode staggers
+//   sweep     — [from, to] plane position across the model bounds,
+//               0 = nothing cut, 1 = everything cut
+//   capColors — cap colour per layer id; capColor for layers not listed
+export const defaultCrossSection = {
+  normal: [1, 0, 0],
+  range: [0, 0.4],
+  sweep: [0, 0.5],
+  capColors: {
+    glass: "#9ec9ff",
+    oled: "#1a1a1f",
+    phone: "#8a8a90",
+  },
+  capColor: "#6a6a70",
+};
+
+// Stencil + cap passes draw before the layers themselves
+const SECTION_RENDER_ORDER = -100;
+
+function resolveCrossSection(crossSection) {
+  if (!crossSection) return null;
+  if (crossSection === true) return defaultCrossSection;
+  return {
+    ...defaultCrossSection,
+    ...crossSection,
+    capColors: {
+      ...defaultCrossSection.capColors,
+      ...crossSection.capColors,
+    },
+  };
+}
+
+// Counts front/back faces behind every pixel; a non-zero count means the
+// pixel looks into the inside of a clipped solid, which is where caps go
+function SectionStencil({ meshes, plane, renderOrder }) {
+  const [backMat, frontMat] = useMemo(() => {
+    const base = {
+      depthWrite: false,
+      depthTest: false,
+      colorWrite: false,
+      stencilWrite: true,
+      stencilFunc: THREE.AlwaysStencilFunc,
+      clippingPlanes: [plane],
+    };
+    const back = new THREE.MeshBasicMaterial({
+      ...base,
+      side: THREE.BackSide,
+      stencilFail: THREE.IncrementWrapStencilOp,
+      stencilZFail: THREE.IncrementWrapStencilOp,
+      stencilZPass: THREE.IncrementWrapStencilOp,
+    });
+    const front = new THREE.MeshBasicMaterial({
+      ...base,
+      side: THREE.FrontSide,
+      stencilFail: THREE.DecrementWrapStencilOp,
+      stencilZFail: THREE.DecrementWrapStencilOp,
+      stencilZPass: THREE.DecrementWrapStencilOp,
+    });
+    return [back, front];
+  }, [plane]);
+
+  useEffect(
+    () => () => {
+      backMat.dispose();
+      frontMat.dispose();
+    },
+    [backMat, frontMat]
+  );
+
+  return meshes.map((m, i) => (
+    <group
+      key={i}
+      position={m.position}
+      quaternion={m.quaternion}
+      scale={m.scale}
+    >
+      <mesh
+        geometry={m.geometry}
+        material={backMat}
+        renderOrder={renderOrder}
+      />
+      <mesh
+        geometry={m.geometry}
+        material={frontMat}
+        renderOrder={renderOrder}
+      />
+    </group>
+  ));
+}
+
+const _sectionBox = new THREE.Box3();
+const _sectionMatrix = new THREE.Matrix4();
+const _sectionInverse = new THREE.Matrix4();
+const _sectionNormal = new THREE.Vector3();
+const _sectionPoint = new THREE.Vector3();
+const _sectionHalf = new THREE.Vector3();
+const _capForward = new THREE.Vector3(0, 0, 1);
+
+// Bounds of every layer mesh in the root group's own space, so the sweep
+// is unaffected by Resize/Center and the device transition scale
+function computeLocalBounds(root, layerMeshes) {
+  root.updateWorldMatrix(true, true);
+  _sectionInverse.copy(root.matrixWorld).invert();
+  const bounds = new THREE.Box3();
+  Object.values(layerMeshes).forEach((meshes) =>
+    meshes.forEach((mesh) => {
+      if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+      _sectionMatrix.multiplyMatrices(_sectionInverse, mesh.matrixWorld);
+      bounds.union(
+        _sectionBox.copy(mesh.geometry.boundingBox).applyMatrix4(_sectionMatrix)
+      );
+    })
+  );
+  return bounds;
+}
+
+// Moves the shared world-space clip plane and the per-layer caps
+function SectionCaps({ config, layers, layerMeshes, plane, rootRef }) {
+  const progressStore = useProgressStore();
+  const capRefs = useRef([]);
+  const bounds = useRef(null);
+
+  useEffect(() => {
+    bounds.current = null;
+  }, [layerMeshes]);
+
+  useFrame(() => {
+    const root = rootRef.current;
+    if (!root) return;
+    if (!bounds.current || bounds.current.isEmpty()) {
+      bounds.current = computeLocalBounds(root, layerMeshes);
+      if (bounds.current.isEmpty()) return;
+    }
+    const box = bounds.current;
+    const center = box.getCenter(_sectionPoint);
+    const half = box.getSize(_sectionHalf).multiplyScalar(0.5);
+    const normal = _sectionNormal.fromArray(config.normal).normalize();
+    const halfExtent =
+      Math.abs(normal.x) * half.x +
+      Math.abs(normal.y) * half.y +
+      Math.abs(normal.z) * half.z;
+    const capSize = half.length() * 2.5;
+
+    const t = mapRange(
+      progressStore.explosion,
+      config.range[0],
+      config.range[1],
+      config.sweep[0],
+      config.sweep[1]
+    );
+    center.addScaledVector(normal, (t * 2 - 1) * (halfExtent + 1e-3));
+
+    // Caps live in root space; the clip plane has to be in world space
+    capRefs.current.forEach((cap) => {
+      if (!cap) return;
+      cap.position.copy(center);
+      cap.quaternion.setFromUnitVectors(_capForward, normal);
+      cap.scale.setScalar(capSize);
+    });
+    plane.setFromNormalAndCoplanarPoint(normal, center);
+    plane.applyMatrix4(root.matrixWorld);
+  });
+
+  return layers.map((layer, i) => (
+    <mesh
+      key={layer.id}
+      ref={(el) => {
+        capRefs.current[i] = el;
+      }}
+      renderOrder={SECTION_RENDER_ORDER + i * 2 + 1}
+    >
+      <planeGeometry args={[1, 1]} />
+      <meshStandardMaterial
+        color={config.capColors[layer.id] || config.capColor}
+        roughness={0.6}
+        metalness={0.1}
+        side={THREE.DoubleSide}
+        stencilWrite
+        stencilRef={0}
+        stencilFunc={THREE.NotEqualStencilFunc}
+        stencilFail={THREE.ReplaceStencilOp}
+        stencilZFail={THREE.ReplaceStencilOp}
+        stencilZPass={THREE.ReplaceStencilOp}
+      />
+    </mesh>
+  ));
+}
+
+// ============================================
+// Scenario A/B split
+// ============================================
+// Takes over rendering to draw the scene twice through scissor rects, the
+// left part with one scenario's tints and the right with the other's, so
+// both halves share one model, camera and layer split.
+function ScenarioSplitRender({ split, left, right, applyTints }) {
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => {
+    invalidate();
+  }, [split, invalidate]);
+
+  useFrame(({ gl, scene, camera, size }) => {
+    const x = Math.round(size.width * split);
+    gl.setScissorTest(true);
+    applyTints(left);
+    gl.setScissor(0, 0, x, size.height);
+    gl.render(scene, camera);
+    applyTints(right);
+    gl.setScissor(x, 0, size.width - x, size.height);
+    gl.render(scene, camera);
+    gl.setScissorTest(false);
+  }, 1);
+
+  return null;
+}
+
+// ============================================
+// iPhone Exploded Model Component
+// ============================================
+function IPhoneExploded({
+  device,
+  layers,
+  selectedLayer,
+  onLayerClick,
+  accentColor,
+  hotspots,
+  crossSection,
+  hiddenLayers,
+  screenContent,
+  screenCrossfade,
+  screenContentSize,
+  onReady,
+  anisotropy = Infinity,
+  decoderPath,
+  statusTints,
+  compareTints,
+  compareSplit,
+  focusedLayer,
+}) {
+  const { scene } = useDeviceGLTF(device.modelPath, decoderPath);
+  const clonedScene = useMemo(() => scene.clone(true), [scene]);
+
+  const { gl } = useThree();
+  const maxAniso = gl.capabilities.getMaxAnisotropy();
+  // Capped by the quality tier; materials are built at the GPU maximum and
+  // stepped down by the effect below so a tier change doesn't rebuild them
+  const textureAniso = Math.min(anisotropy, maxAniso);
+
+  // Load screen texture — must set flipY BEFORE GPU upload
+  const oledTexture = useDeviceTexture(device.screenTexture, decoderPath);
+  prepareTexture(oledTexture, { flipY: false, anisotropy: textureAniso });
+
+  // Dynamic content replaces the static image when configured
+  const contentTexture = useScreenContent(
+    screenContent,
+    screenCrossfade,
+    screenContentSize
+  );
+  const screenTexture = contentTexture || oledTexture;
+
+  // Debug: verify what the GPU actually received
+  const debugStore = useContext(DebugContext);
+  useEffect(() => {
+    if (!debugStore) return;
+    if (oledTexture?.image) {
+      debugStore.setTexture(
+        "OLED",
+        oledTexture.image.width,
+        oledTexture.image.height
+      );
+    }
+    debugStore.set({
+      gpu: {
+        maxTextureSize: gl.capabilities.maxTextureSize,
+        maxAnisotropy: maxAniso,
+      },
+    });
+  }, [debugStore, oledTexture, gl, maxAniso]);
+
+  const progressStore = useProgressStore();
+  const layerGroupRefs = useRef({});
+  const motions = useMemo(
+    () =>
+      Object.fromEntries(
+        layers.map((layer) => [layer.id, resolveLayerMotion(layer)])
+      ),
+    [layers]
+  );
+  const hoveredLayerRef = useRef(null);
+  const rootRef = useRef();
+  const clipPlane = useMemo(() => new THREE.Plane(), []);
+  const clippingPlanes = crossSection ? [clipPlane] : null;
+
+  // One highlight uniform set per layer, shared by all its materials
+  const highlights = useMemo(
+    () =>
+      Object.fromEntries(
+        layers.map((layer) => [layer.id, createHighlightUniforms()])
+      ),
+    [layers]
+  );
+
+  useEffect(() => {
+    Object.values(highlights).forEach((h) =>
+      h.uHighlightColor.value.set(accentColor)
+    );
+  }, [highlights, accentColor]);
+
+  // Scenario colour coding; compare mode re-applies both sets every frame
+  const applyTints = useCallback(
+    (tints) => {
+      layers.forEach(({ id }) => {
+        const h = highlights[id];
+        h.uStatus.value = tints?.[id] ? 1 : 0;
+        if (tints?.[id]) h.uStatusColor.value.set(tints[id]);
+      });
+    },
+    [layers, highlights]
+  );
+  const isComparing = !!compareTints;
+  useEffect(() => {
+    if (!isComparing) applyTints(statusTints);
+  }, [isComparing, statusTints, applyTints]);
 
   // ---------------------------------------------------------
-  // SORTING: Separate meshes into layers by node name
-  // Structure:
-  //   Glass_Front (clear window) + Glass_Bezel (black border) → glass layer
-  //   Display_OLED → oled layer
-  //   Body Frame → body layer
-  //
-  // RENDER ORDER (fixes transparency z-fighting):
-  //   Body: 0 (drawn first, at back)
-  //   OLED: 1 (drawn second)
-  //   Glass Bezel: 2 (drawn third)
-  //   Glass Front: 3 (drawn last, on top)
-  // ---------------------------------------------------------
-  const { glassMeshes, oledMeshes, bodyMeshes } = useMemo(() => {
-    const glass = [];
-    const oled = [];
-    const body = [];
+  // SORTING: Assign meshes to layers by node name (see buildDefaultLayers)
+  // Default structure:
+  //   Glass_Front (clear window) + Glass_Bezel (black border) → glass layer
+  //   Display_OLED → oled layer
+  //   Body Frame → phone layer
+  //
+  // RENDER ORDER (fixes transparency z-fighting):
+  //   Body: 0 (drawn first, at back)
+  //   OLED: 1 (drawn second)
+  //   Glass Bezel: 2 (drawn third)
+  //   Glass Front: 3 (drawn last, on top)
+  // ---------------------------------------------------------
+  const { layerMeshes, meshReport, uvRemaps, materials } = useMemo(() => {
+    const buckets = {};
+    const report = [];
+    const created = new Set();
+    layers.forEach((layer) => {
+      buckets[layer.id] = [];
+    });
+    const fallback = layers.find((layer) =>
+      layerParts(layer).every((part) => part.match == null)
+    );
+    const ctx = {
+      screenTexture,
+      screenUV: device.screenUV,
+      maxAniso,
+      uvRemaps: [],
+    };
 
     clonedScene.traverse((child) => {
-      if (child.isMesh) {
-        const name = child.name.toLowerCase();
-        const parentName = child.parent?.name?.toLowerCase() || "";
-
-        // Log for debugging
-        console.log("Found mesh:", child.name, "| Parent:", child.parent?.name);
-
-        // GLASS BEZEL — Black border (must check BEFORE generic "glass")
-        if (name.includes("bezel") || name.includes("glass_bezel")) {
-          console.log("✅ GLASS BEZEL:", child.name);
-          child.material = new THREE.MeshStandardMaterial({
-            color: new THREE.Color(0x0a0a0a),
-            roughness: 0.4,
-            metalness: 0.0,
-            transparent: false,
-            depthWrite: true,
-            polygonOffset: true,
-            polygonOffsetFactor: -1,
-            polygonOffsetUnits: -1,
-          });
-          child.renderOrder = 2;
-          glass.push(child);
-        }
-        // GLASS FRONT — Clear window
-        else if (
-          name.includes("glass_front") ||
-          name.includes("glass front") ||
-          (name.includes("glass") && !name.includes("bezel"))
-        ) {
-          console.log("✅ GLASS FRONT:", child.name);
-          child.material = new THREE.MeshStandardMaterial({
-            color: new THREE.Color(0xffffff),
-            roughness: 0.0,
-            metalness: 0.0,
-            transparent: true,
-            opacity: 0.15,
-            depthWrite: false,
-            envMapIntensity: 2.0,
-            polygonOffset: true,
-            polygonOffsetFactor: -2,
-            polygonOffsetUnits: -2,
-          });
-          child.renderOrder = 3;
-          glass.push(child);
-        }
-        // OLED DISPLAY
-        else if (name.includes("display") || name.includes("oled")) {
-          console.log("✅ OLED:", child.name);
-
-          // --- Programmatic UV fix ---
-          // The GLB's UVs are broken (75% of vertices crammed into bottom 5% of texture).
-          // Fix: compute fresh UVs from vertex positions.
-          // X maps to U (width), Y maps to V (height). Z is flat (screen surface).
-          const posAttr = child.geometry.attributes.position;
-          const uvAttr = child.geometry.attributes.uv;
-
-          if (posAttr && uvAttr) {
-            // Find bounding box of the mesh
-            let minX = Infinity,
-              maxX = -Infinity;
-            let minY = Infinity,
-              maxY = -Infinity;
-            for (let i = 0; i < posAttr.count; i++) {
-              const x = posAttr.getX(i);
-              const y = posAttr.getY(i);
-              if (x < minX) minX = x;
-              if (x > maxX) maxX = x;
-              if (y < minY) minY = y;
-              if (y > maxY) maxY = y;
-            }
-
-            const rangeX = maxX - minX || 1;
-            const rangeY = maxY - minY || 1;
-
-            // Overwrite UVs: normalise position → 0..1
-            for (let i = 0; i < posAttr.count; i++) {
-              const u = 1.0 - (posAttr.getX(i) - minX) / rangeX;
-              const v = 1.0 - (posAttr.getY(i) - minY) / rangeY; // flip V so top of screen = top of image
-              uvAttr.setXY(i, u, v);
-            }
-            uvAttr.needsUpdate = true;
-
-            console.log(
-              "  UV REMAPPED from positions:",
-              `X[${minX.toFixed(2)}→${maxX.toFixed(2)}]`,
-              `Y[${minY.toFixed(2)}→${maxY.toFixed(2)}]`
-            );
-          }
+      if (!child.isMesh) return;
 
-          child.material = new THREE.MeshBasicMaterial({
-            map: oledTexture,
-            toneMapped: false,
-          });
-          child.renderOrder = 1;
-          oled.push(child);
-        }
-        // BODY — Everything else
-        else {
-          child.material = child.material.clone();
-          child.material.transparent = false;
-          child.material.depthWrite = true;
-          child.renderOrder = 0;
-
-          // Sharpen all body textures
-          const mat = child.material;
-          [
-            mat.map,
-            mat.normalMap,
-            mat.roughnessMap,
-            mat.metalnessMap,
-            mat.aoMap,
-          ].forEach((tex) => {
-            if (tex) {
-              tex.anisotropy = maxAniso;
-              tex.generateMipmaps = true;
-              tex.minFilter = THREE.LinearMipmapLinearFilter;
-              tex.needsUpdate = true;
-            }
-          });
-
-          body.push(child);
+      let owner = null;
+      let part = null;
+      for (const layer of layers) {
+        part = layerParts(layer).find((p) => matchesMesh(p.match, child));
+        if (part) {
+          owner = layer;
+          break;
         }
       }
+      if (!owner && fallback) {
+        owner = fallback;
+        part = layerParts(fallback)[0];
+      }
+      if (!owner) {
+        report.push({ name: child.name, layer: null, renderOrder: null });
+        return;
+      }
+
+      child.material = resolveMaterial(part.material, child, ctx);
+      created.add(child.material);
+      applyHighlight(child.material, highlights[owner.id]);
+      child.renderOrder = part.renderOrder ?? owner.renderOrder ?? 0;
+      buckets[owner.id].push(child);
+      report.push({
+        name: child.name,
+        layer: owner.id,
+        renderOrder: child.renderOrder,
+      });
     });
 
-    console.log(
-      `=== FINAL COUNT: Glass=${glass.length}, OLED=${oled.length}, Body=${body.length} ===`
-    );
-    return { glassMeshes: glass, oledMeshes: oled, bodyMeshes: body };
-  }, [clonedScene, oledTexture, maxAniso]);
+    return {
+      layerMeshes: buckets,
+      meshReport: report,
+      uvRemaps: ctx.uvRemaps,
+      materials: [...created],
+    };
+  }, [
+    clonedScene,
+    layers,
+    highlights,
+    screenTexture,
+    device.screenUV,
+    maxAniso,
+  ]);
+
+  // Free the GPU buffers of the per-mesh geometry copies made by
+  // remapScreenUVs (a disposed geometry re-uploads if drawn again)
+  useEffect(
+    () => () =>
+      clonedScene.traverse((child) => {
+        const source = child.userData.sourceGeometry;
+        if (source && child.geometry !== source) child.geometry.dispose();
+      }),
+    [clonedScene]
+  );
+
+  // Materials are rebuilt when the screen texture or layers change (e.g.
+  // when screen content arrives); release the replaced ones' programs
+  useEffect(
+    () => () => materials.forEach((material) => material.dispose()),
+    [materials]
+  );
+
+  useEffect(() => {
+    if (debugStore) debugStore.set({ meshes: meshReport, uvRemaps });
+  }, [debugStore, meshReport, uvRemaps]);
 
   // ---------------------------------------------------------
   // ANIMATION: Scroll-driven explosion
   // ---------------------------------------------------------
-  useFrame(() => {
-    const glassP = scrollState.glassOffset;
-    const oledP = scrollState.oledOffset;
+  useFrame((_, delta) => {
+    const damp = (uniform, target) => {
+      uniform.value = THREE.MathUtils.damp(uniform.value, target, 8, delta);
+    };
 
-    // Direct position from scroll — GSAP scrub already smooths the input
-    if (glassGroupRef.current) {
-      glassGroupRef.current.position.z = -(glassP * explodeDistance * 2.0);
-    }
+    layers.forEach((layer) => {
+      // Selection feedback eases toward its target every frame
+      const h = highlights[layer.id];
+      const isSelected = selectedLayer === layer.id;
+      damp(h.uSelected, isSelected ? 1 : 0);
+      damp(h.uDim, selectedLayer && !isSelected ? 1 : 0);
+      // Keyboard focus in the layer list lifts a layer like hover does
+      const isHovered =
+        hoveredLayerRef.current === layer.id || focusedLayer === layer.id;
+      damp(h.uHover, isHovered ? 1 : 0);
+
+      // Direct transform from scroll — GSAP scrub already smooths the input
+      const group = layerGroupRefs.current[layer.id];
+      if (!group) return;
+      const p = progressStore.offsets[layer.id] || 0;
+      const { translate, rotate, scale, ease } = motions[layer.id];
+      // The ease shapes the 0→1 stagger; stage amounts past it stay linear
+      const t = p > 0 && p < 1 ? ease(p) : p;
+      const distance = device.explodeDistance * t;
+      group.position.set(
+        translate[0] * distance,
+        translate[1] * distance,
+        translate[2] * distance
+      );
+      group.rotation.set(rotate[0] * t, rotate[1] * t, rotate[2] * t);
+      group.scale.set(
+        THREE.MathUtils.lerp(1, scale[0], t),
+        THREE.MathUtils.lerp(1, scale[1], t),
+        THREE.MathUtils.lerp(1, scale[2], t)
+      );
+    });
+  });
+
+  useEffect(() => {
+    Object.values(layerMeshes).forEach((meshes) =>
+      meshes.forEach(({ material }) => {
+        [
+          material.map,
+          material.normalMap,
+          material.roughnessMap,
+          material.metalnessMap,
+          material.aoMap,
+        ].forEach((tex) => {
+          if (!tex || tex.anisotropy === textureAniso) return;
+          tex.anisotropy = textureAniso;
+          tex.needsUpdate = true;
+        });
+      })
+    );
+  }, [layerMeshes, textureAniso]);
+
+  // Runs once the model and its textures have stopped suspending
+  useEffect(() => {
+    onReady?.(device.id);
+  }, [onReady, device.id]);
+
+  // Clip every layer material while cross-section mode is on
+  useEffect(() => {
+    Object.values(layerMeshes).forEach((meshes) =>
+      meshes.forEach((mesh) => {
+        mesh.material.clippingPlanes = crossSection ? [clipPlane] : null;
+      })
+    );
+  }, [layerMeshes, crossSection, clipPlane]);
+
+  // ---------------------------------------------------------
+  // RENDER
+  // ---------------------------------------------------------
+  const isExploded = useProgressAbove(0.3);
+
+  return (
+    <group ref={rootRef} onPointerMissed={() => onLayerClick(null)}>
+      <group rotation={device.rotation}>
+        {layers.map((layer) => (
+          <group
+            key={layer.id}
+            ref={(el) => {
+              layerGroupRefs.current[layer.id] = el;
+            }}
+            userData={{ layerId: layer.id }}
+            visible={!hiddenLayers.includes(layer.id)}
+            onClick={(e) => {
+              e.stopPropagation();
+              if (isExploded) onLayerClick(layer.id);
+            }}
+            onPointerOver={(e) => {
+              e.stopPropagation();
+              if (!isExploded) return;
+              hoveredLayerRef.current = layer.id;
+              document.body.style.cursor = "pointer";
+            }}
+            onPointerOut={() => {
+              if (hoveredLayerRef.current === layer.id) {
+                hoveredLayerRef.current = null;
+              }
+              document.body.style.cursor = "auto";
+            }}
+          >
+            {layerMeshes[layer.id].map((m, i) => (
+              <primitive key={`${layer.id}-${i}`} object={m} />
+            ))}
+
+            {crossSection && (
+              <SectionStencil
+                meshes={layerMeshes[layer.id]}
+                plane={clipPlane}
+                renderOrder={SECTION_RENDER_ORDER + layers.indexOf(layer) * 2}
+              />
+            )}
+
+            {/* Internals teardown texture — rounded rect matching body opening */}
+            {layer.internals && device.internals && (
+              <InternalsPlane
+                texture={device.internalsTexture}
+                maxAniso={textureAniso}
+                highlight={highlights[layer.id]}
+                clippingPlanes={clippingPlanes}
+                decoderPath={decoderPath}
+                {...device.internals}
+              />
+            )}
+
+            {hotspots
+              .filter((hotspot) => hotspot.layer === layer.id)
+              .map((hotspot) => (
+                <Hotspot
+                  key={hotspot.id}
+                  hotspot={hotspot}
+                  accentColor={accentColor}
+                  onSelect={() => onLayerClick(layer.id)}
+                />
+              ))}
+          </group>
+        ))}
+      </group>
+
+      {debugStore && <DebugBounds layers={layers} layerMeshes={layerMeshes} />}
+
+      {isComparing && (
+        <ScenarioSplitRender
+          split={compareSplit}
+          left={statusTints}
+          right={compareTints}
+          applyTints={applyTints}
+        />
+      )}
+
+      {crossSection && (
+        <SectionCaps
+          config={crossSection}
+          layers={layers}
+          layerMeshes={layerMeshes}
+          plane={clipPlane}
+          rootRef={rootRef}
+        />
+      )}
+    </group>
+  );
+}
 
-    if (oledGroupRef.current) {
-      oledGroupRef.current.position.z = -(oledP * explodeDistance * 1.0);
+// ============================================
+// Device swap transition
+// ============================================
+// Shrinks the current model away, swaps to the new profile once it is
+// gone, then grows the new one back in as soon as it has loaded.
+function DeviceTransition({ device, children }) {
+  const [shown, setShown] = useState(device);
+  const groupRef = useRef();
+  const leaving = shown.id !== device.id;
 
-      // Glow intensity based on selection (adjust opacity for MeshBasicMaterial)
-      oledMeshes.forEach((mesh) => {
-        // MeshBasicMaterial is unlit — no emissive to animate
-        // Could add subtle opacity shift here if desired later
+  useFrame((_, delta) => {
+    const group = groupRef.current;
+    if (!group) return;
+    const scale = THREE.MathUtils.damp(
+      group.scale.x,
+      leaving ? 0 : 1,
+      8,
+      delta
+    );
+    group.scale.setScalar(scale);
+    if (leaving && scale < 0.02) setShown(device);
+  });
+
+  // Same model with updated overrides swaps immediately
+  return <group ref={groupRef}>{children(leaving ? shown : device)}</group>;
+}
+
+// ============================================
+// Camera choreography
+// ============================================
+// Scroll progress moves the camera along keyframes on an orbit around the
+// model, and selecting a layer eases over to frame it. Dragging orbits off
+// the path as an offset that drifts back once the user lets go:
+//   path  — [{ at, azimuth, polar, distance }] sorted by scroll progress
+//           `at`; radians, azimuth 0 = face-on, polar π/2 = level
+//   focus — pose for a selected layer; `padding` scales the distance that
+//           fits the layer's bounds in view
+//   orbit — `azimuth` the user may orbit either side of the path, absolute
+//           `polar` [min, max], seconds to `hold` the offset after release
+//           and the damping rate it `return`s at
+export const defaultCamera = {
+  path: [
+    { at: 0, azimuth: 0, polar: Math.PI / 2.2, distance: 2.8 },
+    { at: 0.5, azimuth: Math.PI / 4, polar: Math.PI / 2.5, distance: 3.2 },
+    { at: 1, azimuth: Math.PI / 2, polar: Math.PI / 2.2, distance: 3.4 },
+  ],
+  focus: { azimuth: Math.PI / 6, polar: Math.PI / 2.4, padding: 1.8 },
+  orbit: {
+    azimuth: Math.PI / 3,
+    polar: [Math.PI / 6, Math.PI / 2],
+    hold: 1.5,
+    return: 1.5,
+  },
+};
+
+function resolveCamera(camera) {
+  if (!camera) return null;
+  if (camera === true) return defaultCamera;
+  return {
+    ...defaultCamera,
+    ...camera,
+    focus: { ...defaultCamera.focus, ...camera.focus },
+    orbit: { ...defaultCamera.orbit, ...camera.orbit },
+  };
+}
+
+function sampleCameraPath(path, p, out) {
+  let i = 0;
+  while (i < path.length - 2 && p > path[i + 1].at) i++;
+  const from = path[i];
+  const to = path[Math.min(i + 1, path.length - 1)];
+  const t = THREE.MathUtils.smoothstep(p, from.at, to.at);
+  out.azimuth = THREE.MathUtils.lerp(from.azimuth, to.azimuth, t);
+  out.polar = THREE.MathUtils.lerp(from.polar, to.polar, t);
+  out.distance = THREE.MathUtils.lerp(from.distance, to.distance, t);
+  return out;
+}
+
+// Shortest signed difference between two angles
+function angleDelta(a, b) {
+  return (
+    THREE.MathUtils.euclideanModulo(a - b + Math.PI, Math.PI * 2) - Math.PI
+  );
+}
+
+const _target = new THREE.Vector3();
+const _focusBox = new THREE.Box3();
+const _focusCenter = new THREE.Vector3();
+const _focusSize = new THREE.Vector3();
+const _orbit = new THREE.Spherical();
+const _orbitVec = new THREE.Vector3();
+
+// Runs after OrbitControls' own update, so while the user drags it reads
+// the camera back as an offset from the path instead of overwriting it
+function CameraRig({ config, selectedLayer, controlsRef }) {
+  const progressStore = useProgressStore();
+  const scene = useThree((state) => state.scene);
+  const [pose] = useState(() => ({ azimuth: 0, polar: 0, distance: 0 }));
+  const offset = useRef({ azimuth: 0, polar: 0 });
+  const focusWeight = useRef(0);
+  const focusObject = useRef(null);
+  const dragging = useRef(false);
+  const releasedAt = useRef(-Infinity);
+
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const onStart = () => {
+      dragging.current = true;
+    };
+    const onEnd = () => {
+      dragging.current = false;
+      releasedAt.current = performance.now();
+    };
+    controls.addEventListener("start", onStart);
+    controls.addEventListener("end", onEnd);
+    return () => {
+      controls.removeEventListener("start", onStart);
+      controls.removeEventListener("end", onEnd);
+    };
+  }, [controlsRef]);
+
+  useFrame(({ camera }, delta) => {
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const { path, focus, orbit } = config;
+    sampleCameraPath(path, progressStore.explosion, pose);
+    let { azimuth, polar, distance } = pose;
+
+    // Layer groups are tagged with their id; the last focused one is kept
+    // while easing back so the target doesn't jump on deselect
+    let focused = focusObject.current;
+    if (focused && !focused.parent) focused = null;
+    if (selectedLayer && focused?.userData.layerId !== selectedLayer) {
+      focused = null;
+      scene.traverse((object) => {
+        if (!focused && object.userData.layerId === selectedLayer) {
+          focused = object;
+        }
       });
     }
+    focusObject.current = focused;
 
-    // BODY: Stays anchored
-    if (bodyGroupRef.current) {
-      bodyGroupRef.current.position.z = 0;
+    focusWeight.current = THREE.MathUtils.damp(
+      focusWeight.current,
+      selectedLayer && focused ? 1 : 0,
+      4,
+      delta
+    );
+    const weight = focusWeight.current;
+    _target.set(0, 0, 0);
+    if (focused && weight > 0.001) {
+      _focusBox.setFromObject(focused);
+      _focusBox.getCenter(_focusCenter);
+      _focusBox.getSize(_focusSize);
+      const fit =
+        (Math.max(_focusSize.x, _focusSize.y, _focusSize.z) /
+          2 /
+          Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) *
+        focus.padding;
+      _target.lerp(_focusCenter, weight);
+      azimuth += angleDelta(focus.azimuth, azimuth) * weight;
+      polar = THREE.MathUtils.lerp(polar, focus.polar, weight);
+      distance = THREE.MathUtils.lerp(distance, fit, weight);
     }
+
+    const drift = offset.current;
+    if (dragging.current) {
+      _orbit.setFromVector3(
+        _orbitVec.subVectors(camera.position, controls.target)
+      );
+      drift.azimuth = THREE.MathUtils.clamp(
+        angleDelta(_orbit.theta, azimuth),
+        -orbit.azimuth,
+        orbit.azimuth
+      );
+      drift.polar = _orbit.phi - polar;
+    } else if (performance.now() - releasedAt.current > orbit.hold * 1000) {
+      drift.azimuth = THREE.MathUtils.damp(
+        drift.azimuth,
+        0,
+        orbit.return,
+        delta
+      );
+      drift.polar = THREE.MathUtils.damp(drift.polar, 0, orbit.return, delta);
+    }
+
+    _orbit.set(
+      distance,
+      THREE.MathUtils.clamp(
+        polar + drift.polar,
+        orbit.polar[0],
+        orbit.polar[1]
+      ),
+      azimuth + drift.azimuth
+    );
+    camera.position.setFromSpherical(_orbit).add(_target);
+    controls.target.copy(_target);
+    camera.lookAt(_target);
   });
 
-  // ---------------------------------------------------------
-  // RENDER
-  // ---------------------------------------------------------
-  const isExploded = scrollState.explosion > 0.3;
+  return null;
+}
+
+// ============================================
+// Adaptive quality + on-demand rendering
+// ============================================
+// Tiers from cheapest to richest. `dpr` is capped by the screen's own
+// pixel ratio, `anisotropy` by the GPU, and the contact shadow's blur is
+// the theme's blur scaled by `shadowBlur`.
+export const qualityTiers = [
+  {
+    name: "low",
+    dpr: 1,
+    shadows: false,
+    anisotropy: 1,
+    shadowResolution: 128,
+    shadowBlur: 0.5,
+  },
+  {
+    name: "medium",
+    dpr: 1.25,
+    shadows: false,
+    anisotropy: 4,
+    shadowResolution: 256,
+    shadowBlur: 0.75,
+  },
+  {
+    name: "high",
+    dpr: 1.5,
+    shadows: true,
+    anisotropy: 8,
+    shadowResolution: 512,
+    shadowBlur: 1,
+  },
+  {
+    name: "ultra",
+    dpr: 2,
+    shadows: true,
+    anisotropy: 16,
+    shadowResolution: 1024,
+    shadowBlur: 1,
+  },
+];
+
+// Average frame time (ms) that steps quality down / up
+const SLOW_FRAME_MS = 25;
+const FAST_FRAME_MS = 18;
+const FRAME_SAMPLES = 60;
+// Fast windows in a row needed before stepping up again
+const FAST_WINDOWS = 3;
+// Direction changes after which the tier is left alone
+const MAX_QUALITY_FLIPS = 4;
+
+// Steps quality down when frames run slow and back up after a sustained
+// stretch of fast ones. Only back-to-back frames count: under on-demand
+// rendering the gap before the first frame is idle time, not frame cost.
+// `backToBackRef` is kept by FrameScheduler.
+function FrameTimeMonitor({ onStep, backToBackRef }) {
+  const samples = useRef([]);
+  const fastWindows = useRef(0);
+  const flips = useRef({ count: 0, last: 0 });
+
+  useFrame((_, delta) => {
+    if (!backToBackRef.current || delta > 0.25) return;
+    if (flips.current.count >= MAX_QUALITY_FLIPS) return;
+    const list = samples.current;
+    list.push(delta * 1000);
+    if (list.length < FRAME_SAMPLES) return;
+    const average = list.reduce((sum, ms) => sum + ms, 0) / list.length;
+    list.length = 0;
+
+    let step = 0;
+    if (average > SLOW_FRAME_MS) {
+      step = -1;
+      fastWindows.current = 0;
+    } else if (average < FAST_FRAME_MS) {
+      fastWindows.current += 1;
+      if (fastWindows.current >= FAST_WINDOWS) step = 1;
+    } else {
+      fastWindows.current = 0;
+    }
+    if (!step || !onStep(step)) return;
+    fastWindows.current = 0;
+    if (flips.current.last && flips.current.last !== step) {
+      flips.current.count += 1;
+    }
+    flips.current.last = step;
+  });
+
+  return null;
+}
+
+// Applies a tier's renderer-wide settings
+function QualitySettings({ tier }) {
+  const { gl, setDpr } = useThree();
+
+  useEffect(() => {
+    setDpr(Math.min(tier.dpr, window.devicePixelRatio || 1));
+  }, [tier.dpr, setDpr]);
+
+  useEffect(() => {
+    gl.shadowMap.enabled = tier.shadows;
+  }, [gl, tier.shadows]);
+
+  return null;
+}
+
+// How long (s) frames keep coming after a wake, so damped motion settles
+const SETTLE_SECONDS = 1.5;
+
+// Under frameloop "demand" this keeps frames coming for a while after
+// scroll, selection, device, pointer or orbit changes, and switches the
+// loop off entirely while the section is offscreen. `backToBackRef` is set
+// each frame to whether the previous frame asked for this one straight
+// away, i.e. the frame didn't follow an idle gap.
+function FrameScheduler({
+  frameloop,
+  selectedLayer,
+  focusedLayer,
+  device,
+  controlsRef,
+  orbitSettle,
+  backToBackRef,
+}) {
+  const progressStore = useProgressStore();
+  const { gl, invalidate, setFrameloop, get } = useThree();
+  const activeUntil = useRef(0);
+  const requestedNext = useRef(false);
+
+  const wake = useCallback(
+    (seconds = SETTLE_SECONDS) => {
+      activeUntil.current = Math.max(
+        activeUntil.current,
+        performance.now() + seconds * 1000
+      );
+      invalidate();
+    },
+    [invalidate]
+  );
+
+  useEffect(() => {
+    const sync = () => {
+      const next = progressStore.onScreen ? frameloop : "never";
+      if (get().frameloop !== next) {
+        setFrameloop(next);
+        requestedNext.current = false;
+      }
+      if (progressStore.onScreen) wake();
+    };
+    sync();
+    return progressStore.subscribe(sync);
+  }, [progressStore, frameloop, get, setFrameloop, wake]);
+
+  useEffect(() => {
+    wake();
+  }, [selectedLayer, focusedLayer, device, wake]);
+
+  useEffect(() => {
+    const el = gl.domElement;
+    const onPointer = () => wake();
+    el.addEventListener("pointermove", onPointer);
+    el.addEventListener("pointerdown", onPointer);
+    return () => {
+      el.removeEventListener("pointermove", onPointer);
+      el.removeEventListener("pointerdown", onPointer);
+    };
+  }, [gl, wake]);
+
+  // The camera rig keeps easing the orbit offset back after release
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const onEnd = () => wake(orbitSettle);
+    controls.addEventListener("end", onEnd);
+    return () => controls.removeEventListener("end", onEnd);
+  }, [controlsRef, orbitSettle, wake]);
+
+  // Runs before the other frame callbacks, so they see this frame's flag
+  useFrame(() => {
+    backToBackRef.current = requestedNext.current;
+    requestedNext.current =
+      frameloop === "always" || performance.now() < activeUntil.current;
+    if (requestedNext.current) invalidate();
+  }, -1);
+
+  return null;
+}
+
+// ============================================
+// Scene Component
+// ============================================
+function Scene({
+  device,
+  layers,
+  selectedLayer,
+  onLayerClick,
+  accentColor,
+  hotspots,
+  crossSection,
+  hiddenLayers,
+  screenContent,
+  screenCrossfade,
+  screenContentSize,
+  lighting,
+  camera,
+  onModelReady,
+  onOrbit,
+  quality,
+  frameloop,
+  decoderPath,
+  statusTints,
+  compareTints,
+  compareSplit,
+  focusedLayer,
+}) {
+  const controlsRef = useRef();
+  const backToBackRef = useRef(false);
+
+  // Adaptive quality starts at the top tier and steps down as needed
+  const [adaptiveTier, setAdaptiveTier] = useState(qualityTiers.length - 1);
+  const isAdaptive = quality === "auto";
+  const tier = isAdaptive
+    ? qualityTiers[adaptiveTier]
+    : qualityTiers.find(({ name }) => name === quality) ||
+      qualityTiers[qualityTiers.length - 1];
+  // Returns whether the tier actually changed
+  const stepQuality = useCallback(
+    (step) => {
+      const next = THREE.MathUtils.clamp(
+        adaptiveTier + step,
+        0,
+        qualityTiers.length - 1
+      );
+      if (next === adaptiveTier) return false;
+      setAdaptiveTier(next);
+      return true;
+    },
+    [adaptiveTier]
+  );
+
+  const environmentKey = useMemo(
+    () =>
+      JSON.stringify([
+        lighting.files,
+        lighting.environmentColor,
+        lighting.environment,
+      ]),
+    [lighting.files, lighting.environmentColor, lighting.environment]
+  );
+
+  const debugStore = useContext(DebugContext);
+  useEffect(() => {
+    debugStore?.set({ quality: tier.name });
+  }, [debugStore, tier.name]);
 
   return (
-    <group onPointerMissed={() => onLayerClick(null)}>
-      <group rotation={[Math.PI / 2, 0, -Math.PI / 2]}>
-        {/* GLASS (Front Window + Bezel) */}
-        <group
-          ref={glassGroupRef}
-          onClick={(e) => {
-            e.stopPropagation();
-            if (isExploded) onLayerClick("glass");
-          }}
-          onPointerOver={(e) => {
-            e.stopPropagation();
-            if (isExploded) document.body.style.cursor = "pointer";
-          }}
-          onPointerOut={() => {
-            document.body.style.cursor = "auto";
-          }}
-        >
-          {/* Bezel meshes — standard material */}
-          {glassMeshes.map((m, i) => (
-            <primitive key={`glass-${i}`} object={m} />
+    <>
+      <ambientLight intensity={lighting.ambient} />
+      <QualitySettings tier={tier} />
+      {isAdaptive && (
+        <FrameTimeMonitor onStep={stepQuality} backToBackRef={backToBackRef} />
+      )}
+      <FrameScheduler
+        frameloop={frameloop}
+        backToBackRef={backToBackRef}
+        selectedLayer={selectedLayer}
+        focusedLayer={focusedLayer}
+        device={device}
+        controlsRef={controlsRef}
+        orbitSettle={
+          camera ? camera.orbit.hold + 3 / camera.orbit.return : SETTLE_SECONDS
+        }
+      />
+
+      <directionalLight
+        position={lighting.keyPosition}
+        intensity={lighting.key}
+        castShadow={tier.shadows}
+      />
+      <directionalLight
+        position={[-5, 5, 2]}
+        intensity={lighting.fill}
+        color={lighting.fillColor}
+      />
+      <pointLight
+        position={[0, 2, 2]}
+        intensity={lighting.point}
+        color={lighting.pointColor}
+      />
+
+      {/* Rendered into the cube map once, and again if the rig changes;
+          a bundled HDR file suspends on its own while it loads */}
+      <Suspense fallback={null}>
+        <Environment key={environmentKey} files={lighting.files ?? undefined}>
+          {!lighting.files && (
+            <color attach="background" args={[lighting.environmentColor]} />
+          )}
+          {lighting.environment.map((panel, i) => (
+            <Lightformer key={i} {...panel} />
           ))}
-        </group>
-
-        {/* OLED */}
-        <group
-          ref={oledGroupRef}
-          onClick={(e) => {
-            e.stopPropagation();
-            if (isExploded) onLayerClick("oled");
-          }}
-          onPointerOver={(e) => {
-            e.stopPropagation();
-            if (isExploded) document.body.style.cursor = "pointer";
+        </Environment>
+      </Suspense>
+
+      <DeviceTransition device={device}>
+        {(shown) => (
+          <CompressedAssetBoundary key={shown.id} device={shown}>
+            {(assets) => (
+              <Suspense fallback={null}>
+                {/* Keyed so Resize/Center re-measure the new model */}
+                <Resize key={shown.id} scale={1.6}>
+                  <Center>
+                    <IPhoneExploded
+                      device={assets}
+                      layers={layers}
+                      selectedLayer={selectedLayer}
+                      onLayerClick={onLayerClick}
+                      accentColor={accentColor}
+                      hotspots={hotspots}
+                      crossSection={crossSection}
+                      hiddenLayers={hiddenLayers}
+                      screenContent={screenContent}
+                      screenCrossfade={screenCrossfade}
+                      screenContentSize={screenContentSize}
+                      onReady={onModelReady}
+                      anisotropy={tier.anisotropy}
+                      decoderPath={decoderPath}
+                      statusTints={statusTints}
+                      compareTints={compareTints}
+                      compareSplit={compareSplit}
+                      focusedLayer={focusedLayer}
+                    />
+                  </Center>
+                </Resize>
+              </Suspense>
+            )}
+          </CompressedAssetBoundary>
+        )}
+      </DeviceTransition>
+
+      <ContactShadows
+        position={[0, -0.7, 0]}
+        opacity={lighting.shadowOpacity}
+        scale={5}
+        blur={lighting.shadowBlur * tier.shadowBlur}
+        resolution={tier.shadowResolution}
+        color={lighting.shadowColor}
+      />
+
+      {camera ? (
+        <>
+          {/* The rig clamps the orbit relative to the path; damping off so
+              inertia doesn't keep moving the camera after release */}
+          <OrbitControls
+            ref={controlsRef}
+            enableZoom={false}
+            enablePan={false}
+            enableDamping={false}
+            rotateSpeed={0.5}
+            onEnd={onOrbit}
+          />
+          <CameraRig
+            config={camera}
+            selectedLayer={selectedLayer}
+            controlsRef={controlsRef}
+          />
+        </>
+      ) : (
+        <OrbitControls
+          ref={controlsRef}
+          enableZoom={false}
+          enablePan={false}
+          minPolarAngle={Math.PI / 6}
+          maxPolarAngle={Math.PI / 2.5}
+          minAzimuthAngle={-Math.PI / 3}
+          maxAzimuthAngle={Math.PI / 3}
+          rotateSpeed={0.5}
+          onEnd={onOrbit}
+        />
+      )}
+    </>
+  );
+}
+
+// ============================================
+// Error boundary + loading / fallback UI
+// ============================================
+// Catches model, texture and renderer failures thrown inside the Canvas
+// (r3f re-throws them to the parent tree) and reports them upward.
+class SceneErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError(error);
+  }
+
+  render() {
+    return this.state.error ? null : this.props.children;
+  }
+}
+
+// `pending` shows it before any loader has started, e.g. for a manifest
+function LoadingOverlay({ text, pending = false }) {
+  const { active, progress } = useProgress();
+
+  return (
+    <AnimatePresence>
+      {(active || pending) && (
+        <motion.div
+          key="loading"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          style={{
+            position: "absolute",
+            inset: 0,
+            display: "flex",
+            flexDirection: "column",
+            alignItems: "center",
+            justifyContent: "center",
+            pointerEvents: "none",
           }}
-          onPointerOut={() => {
-            document.body.style.cursor = "auto";
+        >
+          <p
+            style={{
+              color: "var(--iglass-muted)",
+              fontSize: "var(--iglass-font-small)",
+              margin: 0,
+            }}
+          >
+            {text}
+          </p>
+          <p
+            style={{
+              color: "var(--iglass-text)",
+              fontSize: "var(--iglass-font-headline)",
+              fontWeight: 600,
+              margin: "8px 0 12px",
+            }}
+          >
+            {Math.round(progress)}%
+          </p>
+          <div
+            style={{
+              width: 120,
+              height: 2,
+              background: "var(--iglass-track)",
+              borderRadius: 1,
+              overflow: "hidden",
+            }}
+          >
+            <div
+              style={{
+                width: `${progress}%`,
+                height: "100%",
+                background: "var(--iglass-accent)",
+              }}
+            />
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+function StaticFallback({ poster, text, retryText, onRetry, layers }) {
+  return (
+    <div
+      style={{
+        width: "100%",
+        height: "100%",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 20,
+        overflowY: "auto",
+      }}
+    >
+      {poster && (
+        <img
+          src={poster}
+          alt=""
+          style={{ maxWidth: "100%", maxHeight: "40vh", objectFit: "contain" }}
+        />
+      )}
+      <p
+        style={{
+          color: "var(--iglass-muted)",
+          fontSize: "var(--iglass-font-small)",
+          margin: 0,
+        }}
+      >
+        {text}
+      </p>
+      <ul
+        style={{
+          listStyle: "none",
+          padding: 0,
+          margin: 0,
+          maxWidth: 380,
+          textAlign: "center",
+        }}
+      >
+        {layers.map((layer) => (
+          <li key={layer.id} style={{ marginBottom: 16 }}>
+            <span
+              style={{
+                color: "var(--iglass-accent)",
+                fontSize: "var(--iglass-font-caption)",
+                fontWeight: 600,
+                textTransform: "uppercase",
+                letterSpacing: "0.08em",
+              }}
+            >
+              {layer.label}
+            </span>
+            <h3
+              style={{
+                color: "var(--iglass-text)",
+                fontSize: "var(--iglass-font-title)",
+                fontWeight: 600,
+                margin: "4px 0",
+              }}
+            >
+              {layer.headline}
+            </h3>
+            <p
+              style={{
+                color: "var(--iglass-muted)",
+                fontSize: "var(--iglass-font-body)",
+                lineHeight: 1.6,
+                margin: 0,
+              }}
+            >
+              {layer.description}
+            </p>
+          </li>
+        ))}
+      </ul>
+      {onRetry && (
+        <button
+          type="button"
+          onClick={onRetry}
+          style={{
+            padding: "8px 18px",
+            border: "1px solid var(--iglass-accent)",
+            borderRadius: 999,
+            background: "transparent",
+            color: "var(--iglass-accent)",
+            fontSize: "var(--iglass-font-small)",
+            fontFamily: "inherit",
+            cursor: "pointer",
           }}
         >
-          {oledMeshes.map((m, i) => (
-            <primitive key={`oled-${i}`} object={m} />
+          {retryText}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function DebugInspector({
+  debugStore,
+  progressStore,
+  layers,
+  hiddenLayers,
+  onToggleLayer,
+}) {
+  const { meshes, uvRemaps, textures, gpu, quality } = useSyncExternalStore(
+    debugStore.subscribe,
+    debugStore.getState
+  );
+  const progress = useSyncExternalStore(
+    progressStore.subscribe,
+    () => progressStore.explosion
+  );
+  const heading = { margin: "10px 0 4px", fontSize: 11, color: "#8ab4ff" };
+  const cell = { padding: "1px 6px 1px 0", whiteSpace: "nowrap" };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 12,
+        insetInlineStart: 12,
+        zIndex: 20,
+        maxHeight: "calc(100% - 24px)",
+        maxWidth: 340,
+        overflow: "auto",
+        padding: "8px 12px",
+        background: "rgba(0,0,0,0.8)",
+        border: "1px solid rgba(255,255,255,0.15)",
+        borderRadius: 6,
+        color: "#e6e6e6",
+        fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+        fontSize: 11,
+        lineHeight: 1.5,
+      }}
+    >
+      <p style={heading}>progress {progress.toFixed(3)}</p>
+      <table style={{ borderCollapse: "collapse" }}>
+        <tbody>
+          {layers.map((layer, i) => (
+            <tr key={layer.id}>
+              <td style={cell}>
+                <label style={{ cursor: "pointer" }}>
+                  <input
+                    type="checkbox"
+                    checked={!hiddenLayers.includes(layer.id)}
+                    onChange={() => onToggleLayer(layer.id)}
+                  />{" "}
+                  <span
+                    style={{ color: DEBUG_COLORS[i % DEBUG_COLORS.length] }}
+                  >
+                    {layer.id}
+                  </span>
+                </label>
+              </td>
+              <td style={cell}>[{(layer.stagger || [0, 1]).join("→")}]</td>
+              <td style={cell}>
+                {(progressStore.offsets[layer.id] || 0).toFixed(3)}
+              </td>
+            </tr>
           ))}
-        </group>
-
-        {/* BODY */}
-        <group
-          ref={bodyGroupRef}
-          onClick={(e) => {
-            e.stopPropagation();
-            if (isExploded) onLayerClick("phone");
-          }}
-          onPointerOver={(e) => {
-            e.stopPropagation();
-            if (isExploded) document.body.style.cursor = "pointer";
-          }}
-          onPointerOut={() => {
-            document.body.style.cursor = "auto";
-          }}
-        >
-          {bodyMeshes.map((m, i) => (
-            <primitive key={`body-${i}`} object={m} />
+        </tbody>
+      </table>
+
+      <p style={heading}>meshes ({meshes.length})</p>
+      <table style={{ borderCollapse: "collapse" }}>
+        <tbody>
+          {meshes.map((mesh, i) => (
+            <tr key={i}>
+              <td style={cell}>{mesh.name || "(unnamed)"}</td>
+              <td style={cell}>{mesh.layer ?? "—"}</td>
+              <td style={cell}>{mesh.renderOrder ?? ""}</td>
+            </tr>
           ))}
+        </tbody>
+      </table>
 
-          {/* Internals teardown texture — rounded rect matching body opening */}
-          <mesh
-            position={[0, 8.06, -0.33]}
-            renderOrder={0}
-            geometry={internalsGeo}
-          >
-            <meshBasicMaterial
-              map={internTex}
-              toneMapped={false}
-              side={THREE.DoubleSide}
-            />
-          </mesh>
-        </group>
-      </group>
-    </group>
+      <p style={heading}>uv remaps</p>
+      {uvRemaps.length === 0 && <div>none</div>}
+      {uvRemaps.map((uv, i) => (
+        <div key={i}>
+          {uv.mesh}: {uv.vertices} verts, axis {uv.axis} S[
+          {uv.minS.toFixed(2)}→{uv.maxS.toFixed(2)}] T[{uv.minT.toFixed(2)}→
+          {uv.maxT.toFixed(2)}]
+        </div>
+      ))}
+
+      <p style={heading}>textures</p>
+      {Object.entries(textures).map(([name, [width, height]]) => (
+        <div key={name}>
+          {name}: {width}×{height}
+        </div>
+      ))}
+      {gpu && (
+        <div>
+          GPU maxTextureSize {gpu.maxTextureSize}, maxAnisotropy{" "}
+          {gpu.maxAnisotropy}
+        </div>
+      )}
+      {quality && <div>quality tier {quality}</div>}
+    </div>
   );
 }
 
 // ============================================
-// Scene Component
+// Showcase manifest
 // ============================================
-function Scene({
-  modelPath,
-  screenTexture,
-  internalsTexture,
-  selectedLayer,
-  onLayerClick,
-  explodeDistance,
-}) {
-  return (
-    <>
-      <ambientLight intensity={0.8} />
-      <directionalLight position={[5, 10, 5]} intensity={1.5} castShadow />
-      <directionalLight position={[-5, 5, 2]} intensity={0.8} color="#e8f0ff" />
-      <pointLight position={[0, 2, 2]} intensity={0.5} color="#4080ff" />
-
-      <Environment preset="studio" />
-
-      <Resize scale={1.6}>
-        <Center>
-          <IPhoneExploded
-            modelPath={modelPath}
-            screenTexture={screenTexture}
-            internalsTexture={internalsTexture}
-            selectedLayer={selectedLayer}
-            onLayerClick={onLayerClick}
-            explodeDistance={explodeDistance}
-          />
-        </Center>
-      </Resize>
+// Fetches a manifest URL (or takes the object) and validates it. `pending`
+// holds the scene back until the fetch settles, so the default model isn't
+// loaded first; a failed fetch leaves the defaults in place.
+function useManifest(manifest) {
+  const url = typeof manifest === "string" ? manifest : null;
+  const [fetched, setFetched] = useState(null);
 
-      <ContactShadows
-        position={[0, -0.7, 0]}
-        opacity={0.5}
-        scale={5}
-        blur={2.5}
-      />
+  useEffect(() => {
+    if (!url) return;
+    const controller = new AbortController();
+    loadManifest(url, { signal: controller.signal })
+      .then((data) => setFetched({ url, data }))
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        devWarn(`[manifest] Couldn't load ${url}:`, error);
+        setFetched({ url, data: null });
+      });
+    return () => controller.abort();
+  }, [url]);
 
-      <OrbitControls
-        enableZoom={false}
-        enablePan={false}
-        minPolarAngle={Math.PI / 6}
-        maxPolarAngle={Math.PI / 2.5}
-        minAzimuthAngle={-Math.PI / 3}
-        maxAzimuthAngle={Math.PI / 3}
-        rotateSpeed={0.5}
-      />
-    </>
+  const source = url ? (fetched?.url === url ? fetched.data : null) : manifest;
+  const result = useMemo(
+    () => (source ? validateManifest(source) : null),
+    [source]
   );
+
+  useEffect(() => {
+    if (!result?.errors.length) return;
+    devWarn(
+      `[manifest] ${url || "Inline manifest"} has ${
+        result.errors.length
+      } problem(s); those fields use their defaults:\n  ${result.errors.join(
+        "\n  "
+      )}`
+    );
+  }, [result, url]);
+
+  return {
+    props: result?.props || null,
+    pending: !!url && fetched?.url !== url,
+  };
 }
 
 // ============================================
 // Main Component
 // ============================================
-export default function CrossSection3DScrollGLB(props) {
+function CrossSection3DScrollGLB(ownProps, ref) {
+  // Manifest fields act as props; the ones passed directly win
+  const manifest = useManifest(ownProps.manifest);
+  const props = manifest.props ? { ...manifest.props, ...ownProps } : ownProps;
   const merged = { ...defaultProps, ...props };
+
+  // Development only: props passed in code get the manifest's checks,
+  // reported once per distinct set of problems
+  const propErrors =
+    process.env.NODE_ENV !== "production"
+      ? validateProps(ownProps).join("\n  ")
+      : "";
+  useEffect(() => {
+    if (propErrors) devWarn(`Invalid props:\n  ${propErrors}`);
+  }, [propErrors]);
+  const {
+    locale,
+    messages,
+    dir,
+    mode,
+    scrollDistance,
+    autoplayDuration,
+    glassStagger,
+    oledStagger,
+    phoneStagger,
+    phoneOffset,
+    theme,
+    lighting,
+    device,
+    devices,
+    showDeviceSwitcher,
+    onProgressChange,
+    onLayerSelect,
+    onExplodedChange,
+    onEvent,
+    hotspots,
+    crossSection,
+    stages,
+    camera,
+    quality,
+    frameloop,
+    decoderPath,
+    scenario,
+    scenarios,
+    compareScenario,
+    showScenarioToggle,
+    fallbackPoster,
+    debug,
+    screenContent,
+    screenCrossfade,
+    screenContentSize,
+  } = merged;
+
+  // Bundle copy for the locale, with any explicit copy props on top
+  const activeLocale = resolveLocale(locale);
+  const direction = dir || localeDirection(activeLocale);
+  const copy = resolveMessages(activeLocale, messages);
+  messageKeys.forEach((key) => {
+    if (props[key] !== undefined) copy[key] = props[key];
+  });
   const {
     glassHeadline,
     glassDescription,
@@ -500,150 +3042,1077 @@ export default function CrossSection3DScrollGLB(props) {
     phoneLabel,
     promptText,
     introText,
-    explodeDistance,
-    scrollDistance,
-    glassStagger,
-    oledStagger,
-    phoneStagger,
+    scrollHint,
+    dragHint,
+    fallbackText,
+    retryText,
+    loadingText,
+    stageCrackedTitle,
+    stageCrackedCaption,
+    stageSeparateTitle,
+    stageSeparateCaption,
+    stageInspectTitle,
+    stageInspectCaption,
+    stageReassembleTitle,
+    stageReassembleCaption,
+  } = copy;
+
+  // Theme preset/overrides, with any legacy colour props on top
+  const prefersDark = usePrefersDark();
+  const { accentColor, backgroundColor, textColor, mutedTextColor } = props;
+  const activeTheme = useMemo(() => {
+    const resolved = resolveTheme(theme, prefersDark);
+    return {
+      ...resolved,
+      accent: accentColor ?? resolved.accent,
+      background: backgroundColor ?? resolved.background,
+      text: textColor ?? resolved.text,
+      mutedText: mutedTextColor ?? resolved.mutedText,
+    };
+  }, [
+    theme,
+    prefersDark,
     accentColor,
     backgroundColor,
     textColor,
     mutedTextColor,
-    modelPath,
-    screenTexture,
-    internalsTexture,
-  } = merged;
+  ]);
+  const sceneLighting = useMemo(
+    () => resolveLighting(lighting, activeTheme.scene),
+    [lighting, activeTheme.scene]
+  );
 
   const containerRef = useRef(null);
   const stickyRef = useRef(null);
 
   const [displayProgress, setDisplayProgress] = useState(0);
-  const [selectedLayer, setSelectedLayer] = useState(null);
+  const [internalSelectedLayer, setInternalSelectedLayer] = useState(null);
+  const [progressStore] = useState(createProgressStore);
+  const [debugStore] = useState(createDebugStore);
+  const [hiddenLayers, setHiddenLayers] = useState([]);
+  const [deviceId, setDeviceId] = useState(device);
 
-  const layers = {
-    glass: {
-      headline: glassHeadline,
-      description: glassDescription,
-      label: glassLabel,
-    },
-    oled: {
-      headline: oledHeadline,
-      description: oledDescription,
-      label: oledLabel,
+  // Follow the `device` prop; the switcher changes deviceId locally
+  useEffect(() => {
+    setDeviceId(device);
+  }, [device]);
+
+  const catalog = useMemo(() => ({ ...deviceCatalog, ...devices }), [devices]);
+  // Nothing to switch between until `devices` adds a second profile
+  const hasDeviceSwitcher =
+    showDeviceSwitcher && Object.keys(catalog).length > 1;
+
+  // Repair scenario: prop, switched locally by the toggle
+  const [scenarioId, setScenarioId] = useState(scenario);
+  useEffect(() => {
+    setScenarioId(scenario);
+  }, [scenario]);
+  const [compareSplit, setCompareSplit] = useState(0.5);
+  const scenarioList = useMemo(
+    () => ({ ...scenarioCatalog, ...scenarios }),
+    [scenarios]
+  );
+  const [activeScenario, comparedScenario] = useMemo(() => {
+    const find = (id) => {
+      if (id == null) return null;
+      if (!scenarioList[id]) devWarn(`Unknown scenario "${id}"`);
+      return scenarioList[id] || null;
+    };
+    const primary = find(scenarioId);
+    return [primary, primary && find(compareScenario)];
+  }, [scenarioList, scenarioId, compareScenario]);
+
+  // Resolved profile: catalog entry with any legacy asset props on top
+  const { modelPath, screenTexture, internalsTexture, explodeDistance } = props;
+  const deviceProfile = useMemo(() => {
+    let id = deviceId;
+    if (!catalog[id]) {
+      devWarn(`Unknown device "${id}", using "${defaultDeviceId}"`);
+      id = defaultDeviceId;
+    }
+    const profile = catalog[id];
+    // An overridden asset also replaces its compressed variant
+    const compressed = profile.compressed && { ...profile.compressed };
+    const overrides = {
+      modelPath,
+      screenTexture,
+      internalsTexture,
+      explodeDistance,
+    };
+    Object.keys(overrides).forEach((key) => {
+      if (overrides[key] === undefined) delete overrides[key];
+      else if (compressed) delete compressed[key];
+    });
+    return { ...profile, ...overrides, compressed, id };
+  }, [
+    catalog,
+    deviceId,
+    modelPath,
+    screenTexture,
+    internalsTexture,
+    explodeDistance,
+  ]);
+
+  // Engagement events, sent through the latest onEvent sink
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+  const [analytics] = useState(() =>
+    createAnalytics((event) => onEventRef.current?.(event))
+  );
+  useEffect(() => () => analytics.flush(), [analytics]);
+
+  const statusTints = useMemo(
+    () => scenarioTints(activeScenario, activeTheme.status),
+    [activeScenario, activeTheme.status]
+  );
+  const compareTints = useMemo(
+    () => scenarioTints(comparedScenario, activeTheme.status),
+    [comparedScenario, activeTheme.status]
+  );
+  // Legend only lists the statuses the shown scenarios use
+  const usedStatuses = scenarioStatuses.filter((status) =>
+    [activeScenario, comparedScenario].some(
+      (s) => s && Object.values(s.layers).includes(status)
+    )
+  );
+
+  // Model load time runs from mount, retry or device change until the
+  // model has rendered; reported once per load
+  const loadStartRef = useRef(performance.now());
+  useEffect(() => {
+    loadStartRef.current = performance.now();
+  }, [deviceProfile.modelPath]);
+  const handleModelReady = useCallback(
+    (id) => {
+      if (loadStartRef.current === null) return;
+      analytics.track("model_load", {
+        device: id,
+        durationMs: Math.round(performance.now() - loadStartRef.current),
+      });
+      loadStartRef.current = null;
     },
-    phone: {
-      headline: phoneHeadline,
-      description: phoneDescription,
-      label: phoneLabel,
+    [analytics]
+  );
+  const handleOrbit = useCallback(() => analytics.track("orbit"), [analytics]);
+
+  // "ready" | "error" (load/renderer failure) | "lost" (context lost) |
+  // "unsupported" (no WebGL at all)
+  const [sceneStatus, setSceneStatus] = useState(() =>
+    isWebGLAvailable() ? "ready" : "unsupported"
+  );
+  const [canvasKey, setCanvasKey] = useState(0);
+  // Renderer of the current canvas, for preloads started outside it
+  const glRef = useRef(null);
+
+  const handleSceneError = useCallback(
+    (error) => {
+      devWarn("3D view failed:", error);
+      analytics.track("load_error", {
+        device: deviceProfile.id,
+        message: error?.message || String(error),
+      });
+      setSceneStatus("error");
     },
+    [analytics, deviceProfile.id]
+  );
+
+  // Drop cached (possibly failed) loads and remount the Canvas
+  const retryScene = useCallback(() => {
+    clearDeviceAssets(deviceProfile);
+    setCanvasKey((key) => key + 1);
+    loadStartRef.current = performance.now();
+    setSceneStatus(isWebGLAvailable() ? "ready" : "unsupported");
+  }, [deviceProfile]);
+
+  // `layers` replaces the legacy glass*/oled*/phone* props when given.
+  // Pass a stable array (module-level or memoized) — a new array re-sorts
+  // the model and rebuilds the scroll trigger.
+  const layers = useMemo(
+    () =>
+      merged.layers ||
+      buildDefaultLayers({
+        glassHeadline,
+        glassDescription,
+        glassLabel,
+        oledHeadline,
+        oledDescription,
+        oledLabel,
+        phoneHeadline,
+        phoneDescription,
+        phoneLabel,
+        glassStagger,
+        oledStagger,
+        phoneStagger,
+        phoneOffset,
+      }),
+    [
+      merged.layers,
+      glassHeadline,
+      glassDescription,
+      glassLabel,
+      oledHeadline,
+      oledDescription,
+      oledLabel,
+      phoneHeadline,
+      phoneDescription,
+      phoneLabel,
+      glassStagger,
+      oledStagger,
+      phoneStagger,
+      phoneOffset,
+    ]
+  );
+  const sectionConfig = useMemo(
+    () => resolveCrossSection(crossSection),
+    [crossSection]
+  );
+  const cameraConfig = useMemo(() => resolveCamera(camera), [camera]);
+  // Pass a stable array, as with `layers`
+  const storyStages = useMemo(
+    () =>
+      resolveStages(
+        stages === true
+          ? buildDefaultStages({
+              stageCrackedTitle,
+              stageCrackedCaption,
+              stageSeparateTitle,
+              stageSeparateCaption,
+              stageInspectTitle,
+              stageInspectCaption,
+              stageReassembleTitle,
+              stageReassembleCaption,
+            })
+          : stages
+      ),
+    [
+      stages,
+      stageCrackedTitle,
+      stageCrackedCaption,
+      stageSeparateTitle,
+      stageSeparateCaption,
+      stageInspectTitle,
+      stageInspectCaption,
+      stageReassembleTitle,
+      stageReassembleCaption,
+    ]
+  );
+  const layerById = useMemo(
+    () => Object.fromEntries(layers.map((layer) => [layer.id, layer])),
+    [layers]
+  );
+
+  const isProgressControlled = props.progress !== undefined;
+  const isSelectionControlled = props.selectedLayer !== undefined;
+  const selectedLayer = isSelectionControlled
+    ? props.selectedLayer
+    : internalSelectedLayer;
+  const activeLayer = selectedLayer ? layerById[selectedLayer] : null;
+  const stageIndex = storyStages
+    ? stageIndexAt(storyStages, displayProgress)
+    : -1;
+  const activeStage = storyStages ? storyStages[stageIndex] : null;
+  // A stage's highlight stands in until the user picks a layer
+  const highlightedLayer = selectedLayer ?? activeStage?.highlight ?? null;
+
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const activeMode = useMemo(
+    () => resolveMode(mode, prefersReducedMotion),
+    [mode, prefersReducedMotion]
+  );
+
+  // Latest props for callbacks fired from GSAP and the imperative handle
+  const latest = useRef();
+  latest.current = {
+    isProgressControlled,
+    isSelectionControlled,
+    selectedLayer,
+    layers,
+    stages: storyStages,
+    layerById,
+    onProgressChange,
+    onLayerSelect,
+    onExplodedChange,
   };
+  const tweenRef = useRef(null);
+  // Separate from tweenRef: its own scrolling fires the trigger's onUpdate
+  const scrollTweenRef = useRef(null);
+  const scrollTriggerRef = useRef(null);
+
+  const applyProgress = useCallback(
+    (p) => {
+      progressStore.update(p, latest.current.layers, latest.current.stages);
+      setDisplayProgress(p);
+    },
+    [progressStore]
+  );
+
+  // Every progress source (scroll, explodeTo) goes through here, so
+  // controlled hosts see the change and decide whether to accept it
+  const requestProgress = useCallback(
+    (p) => {
+      const { isProgressControlled, onProgressChange } = latest.current;
+      onProgressChange?.(p);
+      if (!isProgressControlled) applyProgress(p);
+    },
+    [applyProgress]
+  );
+
+  useEffect(() => {
+    if (isProgressControlled) applyProgress(props.progress);
+  }, [isProgressControlled, props.progress, applyProgress]);
+
+  // Re-derive layer offsets when the stagger or stage config changes
+  useEffect(() => {
+    progressStore.update(progressStore.explosion, layers, storyStages);
+  }, [progressStore, layers, storyStages]);
+
+  const requestSelect = useCallback((layerId) => {
+    const { selectedLayer, isSelectionControlled, onLayerSelect } =
+      latest.current;
+    if (layerId === selectedLayer) return;
+    onLayerSelect?.(layerId);
+    if (!isSelectionControlled) setInternalSelectedLayer(layerId);
+  }, []);
+
+  const tweenProgress = useCallback(
+    (p, { duration = 0.8, ease = "power2.inOut" } = {}) => {
+      tweenRef.current?.kill();
+      tweenRef.current = null;
+      const target = Math.max(0, Math.min(1, p));
+      if (duration <= 0) {
+        requestProgress(target);
+        return;
+      }
+      const tweenState = { value: progressStore.explosion };
+      tweenRef.current = gsap.to(tweenState, {
+        value: target,
+        duration,
+        ease,
+        onUpdate: () => requestProgress(tweenState.value),
+      });
+    },
+    [progressStore, requestProgress]
+  );
+
+  // While a scroll trigger drives the view, tween the page to the matching
+  // offset instead — a progress tween would be snapped back by the next
+  // scroll update. Scrolling by hand stops it (autoKill).
+  const explodeTo = useCallback(
+    (p, options = {}) => {
+      scrollTweenRef.current?.kill();
+      scrollTweenRef.current = null;
+      const trigger = scrollTriggerRef.current;
+      if (!trigger || latest.current.isProgressControlled) {
+        tweenProgress(p, options);
+        return;
+      }
+      tweenRef.current?.kill();
+      tweenRef.current = null;
+      const { duration = 0.8, ease = "power2.inOut" } = options;
+      const target = Math.max(0, Math.min(1, p));
+      const top = trigger.start + (trigger.end - trigger.start) * target;
+      if (duration <= 0) {
+        window.scrollTo(0, top);
+        return;
+      }
+      scrollTweenRef.current = gsap.to(window, {
+        scrollTo: { y: top, autoKill: true },
+        duration,
+        ease,
+      });
+    },
+    [tweenProgress]
+  );
+
+  useEffect(
+    () => () => {
+      tweenRef.current?.kill();
+      scrollTweenRef.current?.kill();
+    },
+    []
+  );
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      explodeTo,
+      selectLayer: (layerId) => {
+        if (layerId != null && !latest.current.layerById[layerId]) {
+          devWarn(`Unknown layer "${layerId}"`);
+          return;
+        }
+        requestSelect(layerId ?? null);
+      },
+      reset: (options) => {
+        requestSelect(null);
+        explodeTo(0, options);
+      },
+    }),
+    [explodeTo, requestSelect]
+  );
 
   // ============================================
   // GSAP ScrollTrigger
   // ============================================
+  // Each milestone is reported once, the first time the reader scrolls to
+  // it. Progress from explodeTo(), controlled props and the other modes
+  // doesn't count.
+  const milestonesRef = useRef(new Set());
+  const trackMilestones = useCallback(
+    (p, mode) => {
+      [25, 50, 75, 100].forEach((milestone) => {
+        if (p * 100 < milestone - 0.5) return;
+        if (milestonesRef.current.has(milestone)) return;
+        milestonesRef.current.add(milestone);
+        analytics.track("progress_milestone", { milestone, mode });
+      });
+    },
+    [analytics]
+  );
+
   useEffect(() => {
+    if (activeMode !== "scroll") return;
     if (!containerRef.current || !stickyRef.current) return;
     const ctx = gsap.context(() => {
-      ScrollTrigger.create({
+      scrollTriggerRef.current = ScrollTrigger.create({
         trigger: containerRef.current,
         start: "top top",
         end: `+=${scrollDistance * 100}vh`,
         pin: stickyRef.current,
         scrub: 1,
         onUpdate: (self) => {
-          const p = self.progress;
-          scrollState.explosion = p;
-          scrollState.glassOffset = mapRange(p, glassStagger[0], glassStagger[1], 0, 1);
-          scrollState.oledOffset = mapRange(p, oledStagger[0], oledStagger[1], 0, 1);
-          scrollState.phoneOffset = mapRange(p, phoneStagger[0], phoneStagger[1], 0, 1);
-          setDisplayProgress(p);
+          // Scrolling takes over from any explodeTo() tween
+          tweenRef.current?.kill();
+          tweenRef.current = null;
+          requestProgress(self.progress);
+          if (!scrollTweenRef.current?.isActive()) {
+            trackMilestones(self.progress, activeMode);
+          }
         },
       });
     }, containerRef);
-    return () => ctx.revert();
-  }, [scrollDistance, glassStagger, oledStagger, phoneStagger]);
+    return () => {
+      ctx.revert();
+      scrollTweenRef.current?.kill();
+      scrollTweenRef.current = null;
+      scrollTriggerRef.current = null;
+    };
+  }, [activeMode, scrollDistance, requestProgress, trackMilestones]);
+
+  // ============================================
+  // Autoplay, stepper and static modes
+  // ============================================
+  const [hovered, setHovered] = useState(false);
+  const autoplayRef = useRef(null);
+  useEffect(() => {
+    if (activeMode !== "autoplay") return;
+    const state = { value: 0 };
+    const tween = gsap.to(state, {
+      value: 1,
+      duration: autoplayDuration / 2,
+      ease: "power2.inOut",
+      yoyo: true,
+      repeat: -1,
+      repeatDelay: 0.5,
+      onUpdate: () => requestProgress(state.value),
+    });
+    autoplayRef.current = tween;
+    return () => {
+      tween.kill();
+      autoplayRef.current = null;
+    };
+  }, [activeMode, autoplayDuration, requestProgress]);
+
+  const autoplayHeld = hovered || selectedLayer != null;
+  useEffect(() => {
+    const tween = autoplayRef.current;
+    if (!tween) return;
+    const sync = () => tween.paused(autoplayHeld || !progressStore.onScreen);
+    sync();
+    return progressStore.subscribe(sync);
+  }, [activeMode, autoplayHeld, progressStore]);
+
+  useEffect(() => {
+    if (activeMode !== "static") return;
+    tweenRef.current?.kill();
+    tweenRef.current = null;
+    requestProgress(fullyExplodedProgress(layers, storyStages));
+  }, [activeMode, layers, storyStages, requestProgress]);
+
+  const steps = useMemo(
+    () => explodeSteps(layers, storyStages),
+    [layers, storyStages]
+  );
+  const stepIndex = storyStages
+    ? stageIndex
+    : steps.reduce(
+        (index, at, i) => (displayProgress >= at - 0.01 ? i : index),
+        0
+      );
+  // Reduced motion jumps between steps rather than tweening
+  const goToStep = (index) =>
+    explodeTo(steps[index], prefersReducedMotion ? { duration: 0 } : {});
+
+  // Step dots go to just before the end of a stage, so its explode
+  // targets are reached
+  const goToStage = useCallback(
+    (stage) => explodeTo(stageStop(stage)),
+    [explodeTo]
+  );
+
+  // Track visibility so offscreen work (e.g. screen video) can pause
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    let visible = false;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting && !visible) analytics.track("section_enter");
+      visible = entry.isIntersecting;
+      progressStore.setOnScreen(visible);
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [progressStore, analytics]);
 
   const handleLayerClick = useCallback(
     (layerId) => {
-      setSelectedLayer(selectedLayer === layerId ? null : layerId);
+      requestSelect(latest.current.selectedLayer === layerId ? null : layerId);
     },
-    [selectedLayer]
+    [requestSelect]
   );
 
-  const isExploded = displayProgress > 0.5;
+  // Keyboard layer list: roving tabindex, mirrored onto the model as hover
+  const [focusedLayer, setFocusedLayer] = useState(null);
+  const layerOptionRefs = useRef({});
+  const tabStopLayer = focusedLayer || selectedLayer || layers[0]?.id;
+  const handleLayerKeyDown = (e) => {
+    const index = layers.findIndex((layer) => layer.id === focusedLayer);
+    const moveTo = (i) => {
+      e.preventDefault();
+      const next = layers[(i + layers.length) % layers.length];
+      layerOptionRefs.current[next.id]?.focus();
+    };
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+        moveTo(index + 1);
+        break;
+      case "ArrowUp":
+      case "ArrowLeft":
+        moveTo(index - 1);
+        break;
+      case "Home":
+        moveTo(0);
+        break;
+      case "End":
+        moveTo(layers.length - 1);
+        break;
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        if (focusedLayer) handleLayerClick(focusedLayer);
+        break;
+      case "Escape":
+        requestSelect(null);
+        break;
+      default:
+    }
+  };
+
+  // Text alternative for the whole view, front layer first
+  const viewDescription = [
+    formatMessage(copy.viewDescription, {
+      device: deviceProfile.name || deviceProfile.id,
+      count: layers.length,
+    }),
+    ...layers.map((layer) => {
+      const status = activeScenario?.layers[layer.id];
+      const statusText = status ? ` (${copy[statusMessageKey(status)]})` : "";
+      return `${layer.label}: ${layer.headline}${statusText}.`;
+    }),
+  ].join(" ");
+
+  const isExploded = storyStages
+    ? Math.max(
+        ...Object.values(stageOffsets(storyStages, displayProgress, layers))
+      ) > 0.5
+    : displayProgress > 0.5;
+
+  const wasExploded = useRef(isExploded);
+  useEffect(() => {
+    if (wasExploded.current === isExploded) return;
+    wasExploded.current = isExploded;
+    latest.current.onExplodedChange?.(isExploded);
+    analytics.track("exploded", { exploded: isExploded });
+  }, [isExploded, analytics]);
+
+  // Selection changes, with how long the previous layer stayed selected
+  const selectionRef = useRef({ layer: null, since: 0 });
+  useEffect(() => {
+    const previous = selectionRef.current;
+    if (previous.layer === selectedLayer) return;
+    if (previous.layer) {
+      analytics.track("layer_deselect", {
+        layer: previous.layer,
+        dwellMs: Math.round(performance.now() - previous.since),
+      });
+    }
+    if (selectedLayer)
+      analytics.track("layer_select", { layer: selectedLayer });
+    selectionRef.current = { layer: selectedLayer, since: performance.now() };
+  }, [selectedLayer, analytics]);
 
   return (
     <div
       ref={containerRef}
+      lang={activeLocale}
+      dir={direction}
       style={{
-        height: `${(scrollDistance + 1) * 100}vh`,
-        background: backgroundColor,
+        ...themeVariables(activeTheme, fontStackFor(activeLocale)),
+        height:
+          activeMode === "scroll" ? `${(scrollDistance + 1) * 100}vh` : "100%",
+        background: "var(--iglass-background)",
+        colorScheme: activeTheme.colorScheme,
       }}
+      onPointerEnter={
+        activeMode === "autoplay" ? () => setHovered(true) : undefined
+      }
+      onPointerLeave={
+        activeMode === "autoplay" ? () => setHovered(false) : undefined
+      }
     >
       <div
         ref={stickyRef}
         style={{
-          height: "100vh",
+          height: activeMode === "scroll" ? "100vh" : "100%",
           width: "100%",
           display: "flex",
           flexDirection: "column",
           alignItems: "center",
           justifyContent: "center",
-          padding: 24,
+          padding: "var(--iglass-space-page)",
           boxSizing: "border-box",
-          fontFamily:
-            "'SF Pro Display', -apple-system, BlinkMacSystemFont, sans-serif",
+          fontFamily: "var(--iglass-font)",
           overflow: "hidden",
         }}
       >
         {/* 3D Canvas */}
         <div
-  style={{
-    width: "100%",
-    height: "70vh",
-  }}
->
-            <Canvas
-            camera={{ position: [0, 0, 2.8], fov: 35 }}
-            shadows
-            dpr={[1, 2]}
-            gl={{ antialias: true, powerPreference: "high-performance" }}
-            onCreated={({ gl }) => {
-              gl.toneMapping = THREE.NoToneMapping;
-            }}
-          >
-            <Scene
-              modelPath={modelPath}
-              screenTexture={screenTexture}
-              internalsTexture={internalsTexture}
-              selectedLayer={selectedLayer}
-              onLayerClick={handleLayerClick}
-              explodeDistance={explodeDistance}
+          style={{
+            position: "relative",
+            width: "100%",
+            height: "70vh",
+            // Give way to the rest when a host sizes the section
+            minHeight: activeMode === "scroll" ? undefined : 0,
+          }}
+        >
+          {manifest.pending ? (
+            <LoadingOverlay text={loadingText} pending />
+          ) : sceneStatus === "ready" ? (
+            <SceneErrorBoundary key={canvasKey} onError={handleSceneError}>
+              <Canvas
+                role="img"
+                aria-label={viewDescription}
+                camera={{ position: [0, 0, 2.8], fov: 35 }}
+                shadows
+                dpr={[1, 2]}
+                frameloop={frameloop}
+                gl={{
+                  antialias: true,
+                  stencil: true,
+                  powerPreference: "high-performance",
+                }}
+                onCreated={({ gl }) => {
+                  glRef.current = gl;
+                  gl.toneMapping = THREE.NoToneMapping;
+                  gl.localClippingEnabled = true;
+                  gl.domElement.addEventListener("webglcontextlost", (e) => {
+                    e.preventDefault();
+                    setSceneStatus("lost");
+                  });
+                }}
+              >
+                <ProgressContext.Provider value={progressStore}>
+                  <DebugContext.Provider value={debug ? debugStore : null}>
+                    <Scene
+                      device={deviceProfile}
+                      layers={layers}
+                      selectedLayer={highlightedLayer}
+                      onLayerClick={handleLayerClick}
+                      accentColor={activeTheme.accent}
+                      hotspots={hotspots}
+                      crossSection={sectionConfig}
+                      hiddenLayers={hiddenLayers}
+                      screenContent={screenContent}
+                      screenCrossfade={screenCrossfade}
+                      screenContentSize={screenContentSize}
+                      lighting={sceneLighting}
+                      camera={cameraConfig}
+                      onModelReady={handleModelReady}
+                      onOrbit={handleOrbit}
+                      quality={quality}
+                      frameloop={frameloop}
+                      decoderPath={decoderPath}
+                      statusTints={statusTints}
+                      compareTints={compareTints}
+                      compareSplit={compareSplit}
+                      focusedLayer={focusedLayer}
+                    />
+                  </DebugContext.Provider>
+                </ProgressContext.Provider>
+              </Canvas>
+              <LoadingOverlay text={loadingText} />
+            </SceneErrorBoundary>
+          ) : (
+            <StaticFallback
+              poster={fallbackPoster}
+              text={fallbackText}
+              retryText={retryText}
+              onRetry={sceneStatus === "unsupported" ? null : retryScene}
+              layers={layers}
             />
-          </Canvas>
+          )}
+
+          {debug && sceneStatus === "ready" && (
+            <DebugInspector
+              debugStore={debugStore}
+              progressStore={progressStore}
+              layers={layers}
+              hiddenLayers={hiddenLayers}
+              onToggleLayer={(layerId) =>
+                setHiddenLayers((hidden) =>
+                  hidden.includes(layerId)
+                    ? hidden.filter((id) => id !== layerId)
+                    : [...hidden, layerId]
+                )
+              }
+            />
+          )}
+
+          {/* Device switcher */}
+          {hasDeviceSwitcher && sceneStatus === "ready" && (
+            <div
+              style={{
+                position: "absolute",
+                top: 12,
+                left: 0,
+                right: 0,
+                display: "flex",
+                justifyContent: "center",
+                flexWrap: "wrap",
+                gap: 8,
+              }}
+            >
+              {Object.entries(catalog).map(([id, profile]) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setDeviceId(id)}
+                  onPointerEnter={() =>
+                    preloadDevice(profile, decoderPath, glRef.current)
+                  }
+                  aria-pressed={id === deviceProfile.id}
+                  style={{
+                    padding: "6px 14px",
+                    border: `1px solid ${
+                      id === deviceProfile.id
+                        ? "var(--iglass-accent)"
+                        : "var(--iglass-muted)"
+                    }`,
+                    borderRadius: 999,
+                    background: "transparent",
+                    color:
+                      id === deviceProfile.id
+                        ? "var(--iglass-accent)"
+                        : "var(--iglass-muted)",
+                    fontSize: "var(--iglass-font-label)",
+                    fontFamily: "inherit",
+                    cursor: "pointer",
+                  }}
+                >
+                  {profile.name || id}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Keyboard-accessible layer list */}
+          {sceneStatus === "ready" && (
+            <div
+              role="listbox"
+              aria-label={copy.layerListLabel}
+              aria-orientation="vertical"
+              onKeyDown={handleLayerKeyDown}
+              style={{
+                position: "absolute",
+                top: "50%",
+                insetInlineStart: 12,
+                transform: "translateY(-50%)",
+                display: "flex",
+                flexDirection: "column",
+                alignItems: "flex-start",
+                gap: 6,
+              }}
+            >
+              {layers.map((layer) => (
+                <div
+                  key={layer.id}
+                  ref={(el) => {
+                    layerOptionRefs.current[layer.id] = el;
+                  }}
+                  role="option"
+                  aria-selected={layer.id === selectedLayer}
+                  tabIndex={layer.id === tabStopLayer ? 0 : -1}
+                  onFocus={() => setFocusedLayer(layer.id)}
+                  onBlur={() => setFocusedLayer(null)}
+                  onClick={() => handleLayerClick(layer.id)}
+                  style={{
+                    padding: "4px 10px",
+                    border: `1px solid ${
+                      layer.id === selectedLayer
+                        ? "var(--iglass-accent)"
+                        : "transparent"
+                    }`,
+                    borderRadius: 999,
+                    color:
+                      layer.id === selectedLayer
+                        ? "var(--iglass-accent)"
+                        : "var(--iglass-muted)",
+                    fontSize: "var(--iglass-font-label)",
+                    cursor: "pointer",
+                  }}
+                >
+                  {layer.label}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Scenario toggle */}
+          {showScenarioToggle && sceneStatus === "ready" && (
+            <div
+              style={{
+                position: "absolute",
+                top: hasDeviceSwitcher ? 52 : 12,
+                left: 0,
+                right: 0,
+                display: "flex",
+                justifyContent: "center",
+                flexWrap: "wrap",
+                gap: 8,
+              }}
+            >
+              {Object.entries(scenarioList).map(([id, s]) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setScenarioId(id)}
+                  aria-pressed={id === scenarioId}
+                  style={{
+                    padding: "6px 14px",
+                    border: `1px solid ${
+                      id === scenarioId
+                        ? "var(--iglass-accent)"
+                        : "var(--iglass-muted)"
+                    }`,
+                    borderRadius: 999,
+                    background: "transparent",
+                    color:
+                      id === scenarioId
+                        ? "var(--iglass-accent)"
+                        : "var(--iglass-muted)",
+                    fontSize: "var(--iglass-font-label)",
+                    fontFamily: "inherit",
+                    cursor: "pointer",
+                  }}
+                >
+                  {scenarioName(s, id, copy)}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* A/B divider, scenario names and slider */}
+          {comparedScenario && sceneStatus === "ready" && (
+            <>
+              <div
+                style={{
+                  position: "absolute",
+                  top: 0,
+                  bottom: 0,
+                  left: `${compareSplit * 100}%`,
+                  width: 1,
+                  background: "var(--iglass-muted)",
+                  pointerEvents: "none",
+                }}
+              />
+              {[
+                [scenarioId, activeScenario, { left: 12 }],
+                [compareScenario, comparedScenario, { right: 12 }],
+              ].map(([id, s, side], i) => (
+                <span
+                  key={i}
+                  style={{
+                    position: "absolute",
+                    bottom: 44,
+                    ...side,
+                    color: "var(--iglass-text)",
+                    fontSize: "var(--iglass-font-label)",
+                    fontWeight: 600,
+                    pointerEvents: "none",
+                  }}
+                >
+                  {scenarioName(s, id, copy)}
+                </span>
+              ))}
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.001}
+                value={compareSplit}
+                onChange={(e) => setCompareSplit(Number(e.target.value))}
+                aria-label={copy.compareLabel}
+                dir="ltr"
+                style={{
+                  position: "absolute",
+                  bottom: 12,
+                  left: 12,
+                  right: 12,
+                  width: "calc(100% - 24px)",
+                  margin: 0,
+                  accentColor: "var(--iglass-accent)",
+                }}
+              />
+            </>
+          )}
+
+          {/* Scenario legend */}
+          {activeScenario && sceneStatus === "ready" && (
+            <div
+              style={{
+                position: "absolute",
+                bottom: comparedScenario ? 68 : 12,
+                left: 0,
+                right: 0,
+                display: "flex",
+                justifyContent: "center",
+                gap: 16,
+                pointerEvents: "none",
+              }}
+            >
+              {usedStatuses.map((status) => (
+                <span
+                  key={status}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 6,
+                    color: "var(--iglass-muted)",
+                    fontSize: "var(--iglass-font-caption)",
+                  }}
+                >
+                  <span
+                    style={{
+                      width: 8,
+                      height: 8,
+                      borderRadius: "50%",
+                      background: `var(--iglass-status-${status})`,
+                    }}
+                  />
+                  {copy[statusMessageKey(status)]}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
 
-        {/* Progress indicator */}
+        {/* Progress indicator: step dots per stage, or a bar, between
+            previous/next buttons in stepper mode */}
         <div
           style={{
             width: "100%",
-            maxWidth: 180,
-            height: 2,
-            background: "rgba(255,255,255,0.1)",
-            borderRadius: 1,
-            marginTop: 28,
-            overflow: "hidden",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            gap: 16,
+            marginTop: "var(--iglass-space-section)",
           }}
         >
-          <motion.div
-            style={{
-              height: "100%",
-              background: accentColor,
-              borderRadius: 1,
-            }}
-            animate={{ width: `${displayProgress * 100}%` }}
-            transition={{ duration: 0.1 }}
-          />
+          {activeMode === "stepper" && (
+            <button
+              type="button"
+              onClick={() => goToStep(stepIndex - 1)}
+              disabled={stepIndex === 0}
+              style={stepButtonStyle(stepIndex === 0)}
+            >
+              {copy.previousStep}
+            </button>
+          )}
+          {storyStages ? (
+            <div
+              style={{
+                display: "flex",
+                gap: 10,
+              }}
+            >
+              {storyStages.map((stage, i) => (
+                <button
+                  key={stage.id}
+                  type="button"
+                  onClick={() => goToStage(stage)}
+                  aria-label={stage.title}
+                  aria-current={i === stageIndex ? "step" : undefined}
+                  title={stage.title}
+                  style={{
+                    width: 8,
+                    height: 8,
+                    padding: 0,
+                    border: "none",
+                    borderRadius: "50%",
+                    background:
+                      i <= stageIndex
+                        ? "var(--iglass-accent)"
+                        : "var(--iglass-track)",
+                    transform: i === stageIndex ? "scale(1.4)" : "none",
+                    transition: "transform 0.2s, background 0.2s",
+                    cursor: "pointer",
+                  }}
+                />
+              ))}
+            </div>
+          ) : (
+            <div
+              style={{
+                width: "100%",
+                maxWidth: 180,
+                height: 2,
+                background: "var(--iglass-track)",
+                borderRadius: 1,
+                overflow: "hidden",
+              }}
+            >
+              <motion.div
+                style={{
+                  height: "100%",
+                  background: "var(--iglass-accent)",
+                  borderRadius: 1,
+                }}
+                animate={{ width: `${displayProgress * 100}%` }}
+                transition={{ duration: 0.1 }}
+              />
+            </div>
+          )}
+          {activeMode === "stepper" && (
+            <button
+              type="button"
+              onClick={() => goToStep(stepIndex + 1)}
+              disabled={stepIndex === steps.length - 1}
+              style={stepButtonStyle(stepIndex === steps.length - 1)}
+            >
+              {copy.nextStep}
+            </button>
+          )}
         </div>
 
         {/* Info panel */}
@@ -653,40 +4122,70 @@ export default function CrossSection3DScrollGLB(props) {
             maxWidth: 380,
             minHeight: 120,
             textAlign: "center",
-            marginTop: 28,
+            marginTop: "var(--iglass-space-section)",
           }}
         >
           <AnimatePresence mode="wait">
-            {!isExploded ? (
+            {activeStage && !activeLayer ? (
               <motion.div
-                key="intro"
+                key={`stage-${activeStage.id}`}
                 initial={{ opacity: 0, y: 10 }}
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -10 }}
               >
+                <h3
+                  style={{
+                    color: "var(--iglass-text)",
+                    fontSize: "var(--iglass-font-headline)",
+                    fontWeight: 600,
+                    margin: "0 0 12px 0",
+                  }}
+                >
+                  {activeStage.title}
+                </h3>
                 <p
                   style={{
-                    color: mutedTextColor,
-                    fontSize: 15,
+                    color: "var(--iglass-muted)",
+                    fontSize: "var(--iglass-font-body)",
                     lineHeight: 1.6,
                     margin: 0,
                   }}
                 >
-                  {introText}
+                  {activeStage.caption}
                 </p>
+              </motion.div>
+            ) : !isExploded && !activeStage && !activeLayer ? (
+              <motion.div
+                key="intro"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -10 }}
+              >
                 <p
                   style={{
-                    color: "rgba(255,255,255,0.3)",
-                    fontSize: 12,
-                    marginTop: 16,
+                    color: "var(--iglass-muted)",
+                    fontSize: "var(--iglass-font-body)",
+                    lineHeight: 1.6,
+                    margin: 0,
                   }}
                 >
-                  Scroll to explore
+                  {introText}
                 </p>
+                {activeMode === "scroll" && (
+                  <p
+                    style={{
+                      color: "var(--iglass-faint)",
+                      fontSize: "var(--iglass-font-label)",
+                      marginTop: 16,
+                    }}
+                  >
+                    {scrollHint}
+                  </p>
+                )}
               </motion.div>
-            ) : selectedLayer ? (
+            ) : activeLayer ? (
               <motion.div
-                key={selectedLayer}
+                key={activeLayer.id}
                 initial={{ opacity: 0, y: 10 }}
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -10 }}
@@ -695,37 +4194,62 @@ export default function CrossSection3DScrollGLB(props) {
                   style={{
                     display: "inline-block",
                     padding: "4px 12px",
-                    background: "rgba(100,160,255,0.15)",
+                    background: "var(--iglass-badge)",
                     borderRadius: 4,
-                    color: accentColor,
-                    fontSize: 11,
+                    color: "var(--iglass-accent)",
+                    fontSize: "var(--iglass-font-caption)",
                     fontWeight: 600,
                     textTransform: "uppercase",
                     letterSpacing: "0.08em",
                     marginBottom: 12,
                   }}
                 >
-                  {layers[selectedLayer].label}
+                  {activeLayer.label}
                 </span>
+                {[activeScenario, comparedScenario].map((s, i) => {
+                  const status = s?.layers[activeLayer.id];
+                  if (!status) return null;
+                  return (
+                    <span
+                      key={i}
+                      style={{
+                        display: "inline-block",
+                        padding: "4px 12px",
+                        marginInlineStart: 8,
+                        border: `1px solid var(--iglass-status-${status})`,
+                        borderRadius: 4,
+                        color: `var(--iglass-status-${status})`,
+                        fontSize: "var(--iglass-font-caption)",
+                        fontWeight: 600,
+                        textTransform: "uppercase",
+                        letterSpacing: "0.08em",
+                        marginBottom: 12,
+                      }}
+                    >
+                      {comparedScenario && `${i ? "B" : "A"} · `}
+                      {copy[statusMessageKey(status)]}
+                    </span>
+                  );
+                })}
                 <h3
                   style={{
-                    color: textColor,
-                    fontSize: 20,
+                    color: "var(--iglass-text)",
+                    fontSize: "var(--iglass-font-headline)",
                     fontWeight: 600,
                     margin: "0 0 12px 0",
                   }}
                 >
-                  {layers[selectedLayer].headline}
+                  {activeLayer.headline}
                 </h3>
                 <p
                   style={{
-                    color: mutedTextColor,
-                    fontSize: 15,
+                    color: "var(--iglass-muted)",
+                    fontSize: "var(--iglass-font-body)",
                     lineHeight: 1.6,
                     margin: 0,
                   }}
                 >
-                  {layers[selectedLayer].description}
+                  {activeLayer.description}
                 </p>
               </motion.div>
             ) : (
@@ -735,8 +4259,8 @@ export default function CrossSection3DScrollGLB(props) {
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -10 }}
                 style={{
-                  color: mutedTextColor,
-                  fontSize: 15,
+                  color: "var(--iglass-muted)",
+                  fontSize: "var(--iglass-font-body)",
                   lineHeight: 1.6,
                   margin: 0,
                 }}
@@ -747,23 +4271,28 @@ export default function CrossSection3DScrollGLB(props) {
           </AnimatePresence>
         </div>
 
+        {/* Announces the selected layer to screen readers */}
+        <div role="status" aria-live="polite" style={visuallyHidden}>
+          {activeLayer
+            ? `${activeLayer.headline}. ${activeLayer.description}`
+            : ""}
+        </div>
+
         <p
           style={{
-            color: mutedTextColor,
-            fontSize: 11,
+            color: "var(--iglass-muted)",
+            fontSize: "var(--iglass-font-caption)",
             marginTop: 20,
             opacity: 0.4,
           }}
         >
-          Drag to rotate
+          {dragHint}
         </p>
       </div>
     </div>
   );
 }
 
-useGLTF.preload(defaultProps.modelPath);
-useTexture.preload(defaultProps.screenTexture);
-useTexture.preload(defaultProps.internalsTexture);
-
+export default forwardRef(CrossSection3DScrollGLB);
 
+preloadDevice(deviceCatalog[defaultDeviceId], defaultProps.decoderPath);
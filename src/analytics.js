@@ -0,0 +1,62 @@
+// ============================================
+// Analytics
+// ============================================
+// Engagement events go to a sink: any function that takes one event, e.g.
+// (event) => window.dataLayer.push(event). Every event is a plain object:
+//   { type, timestamp, ...data }
+// Types and their data:
+//   section_enter       — the section scrolled into view
+//   progress_milestone  — { milestone: 25 | 50 | 75 | 100, mode }, once each,
+//                         only when the reader scrolls there
+//   exploded            — { exploded } when the layers spread or close up
+//   layer_select        — { layer }
+//   layer_deselect      — { layer, dwellMs } time the layer was selected
+//   orbit               — the user dragged the model around
+//   model_load          — { device, durationMs } until the model was shown
+//   load_error          — { device, message }
+// Noisy types are debounced so only the last event in a burst is sent.
+export const DEBOUNCED_EVENTS = ["section_enter", "exploded", "orbit"];
+
+export const noopSink = () => {};
+
+export const consoleSink = (event) => {
+  console.info(`[analytics] ${event.type}`, event);
+};
+
+export function createAnalytics(sink = noopSink, { debounceMs = 300 } = {}) {
+  const pending = new Map();
+
+  const send = (event) => {
+    try {
+      sink(event);
+    } catch (e) {
+      // A failing sink must never break the section
+    }
+  };
+
+  return {
+    track(type, data) {
+      const event = { type, timestamp: Date.now(), ...data };
+      if (!DEBOUNCED_EVENTS.includes(type)) {
+        send(event);
+        return;
+      }
+      clearTimeout(pending.get(type)?.timer);
+      pending.set(type, {
+        event,
+        timer: setTimeout(() => {
+          pending.delete(type);
+          send(event);
+        }, debounceMs),
+      });
+    },
+    // Send anything still waiting out its debounce, e.g. on unmount
+    flush() {
+      pending.forEach(({ event, timer }) => {
+        clearTimeout(timer);
+        send(event);
+      });
+      pending.clear();
+    },
+  };
+}
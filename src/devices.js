@@ -0,0 +1,44 @@
+import screenImg from "./Screen.png";
+import internalsImg from "./internals.jpg";
+
+// ============================================
+// Device catalog
+// ============================================
+// One profile per phone model we show. Every value is calibrated by hand
+// against that model's GLB:
+//   name             — switcher label
+//   modelPath        — GLB under /public
+//   screenTexture    — image mapped onto the OLED layer
+//   internalsTexture — teardown photo shown behind the display
+//   internals        — rounded-rect plane for the internals photo, in model
+//                      units ({ width, height, radius, position }), or null
+//   screenUV         — how the screen image is mapped onto the display mesh
+//                      (see remapScreenUVs); omit to keep the GLB's UVs
+//   rotation         — Euler rotation that turns the GLB face-on to camera
+//   explodeDistance  — base explode travel, multiplied per layer
+//   compressed       — optional { modelPath, screenTexture, internalsTexture }
+//                      variants (Draco/Meshopt GLB, .ktx2 textures) tried
+//                      first; the originals above are the fallback
+export const deviceCatalog = {
+  "iphone-14-pro": {
+    name: "iPhone 14 Pro",
+    modelPath: "/14_Pro_Model.glb",
+    screenTexture: screenImg,
+    internalsTexture: internalsImg,
+    internals: {
+      width: 7.0, // slightly inset from OLED width (7.54)
+      height: 15.2, // slightly inset from OLED height (15.92)
+      radius: 0.8,
+      position: [0, 8.06, -0.33],
+    },
+    // The GLB's UVs are broken (75% of vertices crammed into bottom 5% of
+    // texture), so project from positions, flipped to read upright
+    screenUV: { mode: "planar", axis: "z", flipU: true, flipV: true },
+    rotation: [Math.PI / 2, 0, -Math.PI / 2],
+    explodeDistance: 1.2,
+    // Written by `npm run prepare-assets` from the GLB above
+    compressed: { modelPath: "/14_Pro_Model.draco.glb" },
+  },
+};
+
+export const defaultDeviceId = "iphone-14-pro";
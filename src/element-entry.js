@@ -0,0 +1,4 @@
+// Entry for the standalone <iglass-exploded> bundle (npm run build:element)
+import { defineIGlassElement } from "./element";
+
+defineIGlassElement();
@@ -0,0 +1,234 @@
+import { createElement, createRef } from "react";
+import { createRoot } from "react-dom/client";
+
+import CrossSection3DScrollGLB, {
+  defaultProps,
+  devWarn,
+} from "./CrossSection3DScrollGLB";
+import { messageKeys } from "./messages";
+
+// ============================================
+// <iglass-exploded> custom element
+// ============================================
+// Wraps the component for pages that can't render React. Every prop can
+// be set as a kebab-case attribute (scroll-distance="3",
+// glass-stagger="[0, 0.5]", show-device-switcher) or in a JSON script
+// child; attributes win over the script:
+//   <iglass-exploded device="iphone-14-pro" theme="light">
+//     <script type="application/json">{ "hotspots": [...] }</script>
+//   </iglass-exploded>
+// A showcase manifest works the same way: manifest="/showcase.json".
+// Objects and callbacks can also be passed through the `config` property.
+// The element dispatches bubbling, composed DOM events:
+//   iglass-progress       — detail { progress }
+//   iglass-layerselect    — detail { layer } (null when cleared)
+//   iglass-explodedchange — detail { exploded }
+//   iglass-analytics      — detail is the analytics event (see analytics.js)
+// and forwards explodeTo(), selectLayer() and reset() to the component.
+// `npm run build:element` bundles it with React into
+// dist/iglass-element.js, which registers the element when loaded (see
+// element-entry.js). Serve the images written beside it from the site
+// root, as the app serves public/ (models, decoders). Other bundles call
+// defineIGlassElement() once.
+
+// Legacy props that override the device profile, theme or selection
+const overrideProps = [
+  "accentColor",
+  "backgroundColor",
+  "textColor",
+  "mutedTextColor",
+  "modelPath",
+  "screenTexture",
+  "internalsTexture",
+  "explodeDistance",
+  "progress",
+  "selectedLayer",
+];
+
+const propNames = [
+  ...Object.keys(defaultProps).filter((name) => !/^on[A-Z]/.test(name)),
+  ...messageKeys,
+  ...overrideProps,
+];
+
+function toAttributeName(prop) {
+  return prop.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+const attributeProps = Object.fromEntries(
+  propNames.map((prop) => [toAttributeName(prop), prop])
+);
+
+// Copy attributes are text, whatever they look like
+const textProps = new Set(messageKeys);
+
+// Typed by the prop's default: booleans are present unless "false",
+// strings stay as written, anything else (or JSON-looking text) is parsed
+function parseAttribute(value, fallback) {
+  if (/^\s*[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  if (typeof fallback === "boolean") return value !== "false";
+  if (typeof fallback === "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+export class IGlassExplodedElement extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(attributeProps);
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this._config = {};
+    this._component = createRef();
+    this._root = null;
+    this._unmountTimer = null;
+    // Parsed values by source text, so unchanged attributes keep the same
+    // arrays/objects and the component doesn't rebuild from them
+    this._parsed = new Map();
+    // Re-read the JSON script when it is added, removed or edited
+    this._observer = new MutationObserver(() => this._render());
+  }
+
+  get config() {
+    return this._config;
+  }
+
+  set config(config) {
+    this._config = config || {};
+    this._render();
+  }
+
+  explodeTo(progress, options) {
+    this._component.current?.explodeTo(progress, options);
+  }
+
+  selectLayer(layerId) {
+    this._component.current?.selectLayer(layerId);
+  }
+
+  reset(options) {
+    this._component.current?.reset(options);
+  }
+
+  connectedCallback() {
+    // Moving the element re-connects it straight away; keep the root
+    clearTimeout(this._unmountTimer);
+    if (!this._root) {
+      const style = document.createElement("style");
+      style.textContent = ":host { display: block; }";
+      const container = document.createElement("div");
+      this.shadowRoot.append(style, container);
+      this._root = createRoot(container);
+    }
+    this._observer.observe(this, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+    this._render();
+  }
+
+  disconnectedCallback() {
+    this._observer.disconnect();
+    this._unmountTimer = setTimeout(() => {
+      this._root?.unmount();
+      this._root = null;
+      this.shadowRoot.replaceChildren();
+    });
+  }
+
+  attributeChangedCallback() {
+    this._render();
+  }
+
+  _readScriptConfig() {
+    const script = this.querySelector('script[type="application/json"]');
+    if (!script) return {};
+    return this._cached("script", script.textContent, (text) => {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        devWarn("[iglass-exploded] Invalid JSON config:", e);
+        return {};
+      }
+    });
+  }
+
+  _cached(key, source, parse) {
+    const hit = this._parsed.get(key);
+    if (hit && hit.source === source) return hit.value;
+    const value = parse(source);
+    this._parsed.set(key, { source, value });
+    return value;
+  }
+
+  _readAttributes() {
+    const props = {};
+    Object.entries(attributeProps).forEach(([attribute, prop]) => {
+      if (!this.hasAttribute(attribute)) return;
+      props[prop] = this._cached(
+        attribute,
+        this.getAttribute(attribute),
+        (value) =>
+          textProps.has(prop)
+            ? value
+            : parseAttribute(value, defaultProps[prop])
+      );
+    });
+    return props;
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(
+      new CustomEvent(type, { detail, bubbles: true, composed: true })
+    );
+  }
+
+  _render() {
+    if (!this._root || !this.isConnected) return;
+    const props = {
+      ...this._readScriptConfig(),
+      ...this._readAttributes(),
+      ...this._config,
+    };
+    this._root.render(
+      createElement(CrossSection3DScrollGLB, {
+        ...props,
+        ref: this._component,
+        onProgressChange: (progress) => {
+          props.onProgressChange?.(progress);
+          this._emit("iglass-progress", { progress });
+        },
+        onLayerSelect: (layer) => {
+          props.onLayerSelect?.(layer);
+          this._emit("iglass-layerselect", { layer });
+        },
+        onExplodedChange: (exploded) => {
+          props.onExplodedChange?.(exploded);
+          this._emit("iglass-explodedchange", { exploded });
+        },
+        onEvent: (event) => {
+          props.onEvent?.(event);
+          this._emit("iglass-analytics", event);
+        },
+      })
+    );
+  }
+}
+
+export function defineIGlassElement(tagName = "iglass-exploded") {
+  if (!customElements.get(tagName)) {
+    customElements.define(tagName, class extends IGlassExplodedElement {});
+  }
+}
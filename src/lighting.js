@@ -0,0 +1,104 @@
+// ============================================
+// Lighting rigs
+// ============================================
+// Named setups for the 3D scene. Reflections come from an environment
+// generated on the page, so nothing is fetched from a CDN and kiosks or
+// intranet demos light the same as the public site:
+//   environment      — Lightformer panels rendered into the reflection
+//                      cube map: { form, intensity, color, position, scale }
+//                      (panels face the model)
+//   environmentColor — backdrop behind the panels
+//   files            — optional bundled .hdr/.exr under /public lighting
+//                      the environment instead of environmentColor
+//   keyPosition      — where the shadow-casting key light sits
+//   lights           — multipliers on the theme's ambient, key, fill and
+//                      point intensities (see `scene` in themes.js)
+//   shadow           — multipliers on the theme's ContactShadows opacity
+//                      and blur
+// The theme sets the levels that suit its background; the rig shapes
+// contrast and direction on top, so every rig works on light and dark.
+export const lightingRigs = {
+  // Even softboxes overhead and either side
+  studio: {
+    environment: [
+      { form: "rect", intensity: 2, position: [0, 5, -2], scale: [10, 2] },
+      { form: "rect", intensity: 1.5, position: [-5, 1, 0], scale: [2, 6] },
+      { form: "rect", intensity: 1.5, position: [5, 1, 0], scale: [2, 6] },
+      { form: "rect", intensity: 0.8, position: [0, 1, 5], scale: [6, 3] },
+    ],
+    environmentColor: "#1a1a1a",
+    files: null,
+    keyPosition: [5, 10, 5],
+    lights: { ambient: 1, key: 1, fill: 1, point: 1 },
+    shadow: { opacity: 1, blur: 1 },
+  },
+  // One hard rim strip from behind, little fill, crisp shadow
+  dramatic: {
+    environment: [
+      { form: "rect", intensity: 4, position: [-4, 2, -3], scale: [1, 8] },
+      { form: "rect", intensity: 0.6, position: [4, 3, 3], scale: [3, 3] },
+    ],
+    environmentColor: "#000000",
+    files: null,
+    keyPosition: [-6, 8, 3],
+    lights: { ambient: 0.25, key: 1.6, fill: 0.3, point: 1.5 },
+    shadow: { opacity: 1.4, blur: 0.5 },
+  },
+  // Large dim panels all round, low contrast, diffuse shadow
+  soft: {
+    environment: [
+      { form: "rect", intensity: 1, position: [0, 6, 0], scale: [10, 10] },
+      { form: "rect", intensity: 0.8, position: [0, 0, 6], scale: [10, 5] },
+      { form: "rect", intensity: 0.6, position: [0, 0, -6], scale: [10, 5] },
+    ],
+    environmentColor: "#3a3a3a",
+    files: null,
+    keyPosition: [3, 10, 6],
+    lights: { ambient: 1.4, key: 0.6, fill: 1.2, point: 0.5 },
+    shadow: { opacity: 0.7, blur: 1.8 },
+  },
+  // Bright white sweep for catalogue shots, barely-there shadow
+  "product-white": {
+    environment: [
+      { form: "rect", intensity: 3, position: [0, 6, 0], scale: [12, 12] },
+      { form: "rect", intensity: 2, position: [0, 0, 6], scale: [12, 6] },
+      { form: "rect", intensity: 1.5, position: [-6, 0, 0], scale: [6, 6] },
+      { form: "rect", intensity: 1.5, position: [6, 0, 0], scale: [6, 6] },
+    ],
+    environmentColor: "#e0e0e0",
+    files: null,
+    keyPosition: [2, 10, 4],
+    lights: { ambient: 1.5, key: 0.8, fill: 1, point: 0 },
+    shadow: { opacity: 0.45, blur: 1.6 },
+  },
+};
+
+// `lighting` is a rig name or an object of overrides with an optional
+// `extends` rig name; `scene` is the theme's scene settings. Returns what
+// the scene draws: the theme's values scaled by the rig, plus the rig's
+// environment and key light position.
+export function resolveLighting(lighting, scene) {
+  let rig = lightingRigs[lighting] || lightingRigs.studio;
+  if (lighting && typeof lighting === "object") {
+    const base = lightingRigs[lighting.extends] || lightingRigs.studio;
+    rig = {
+      ...base,
+      ...lighting,
+      lights: { ...base.lights, ...lighting.lights },
+      shadow: { ...base.shadow, ...lighting.shadow },
+    };
+  }
+  return {
+    ...scene,
+    ambient: scene.ambient * rig.lights.ambient,
+    key: scene.key * rig.lights.key,
+    fill: scene.fill * rig.lights.fill,
+    point: scene.point * rig.lights.point,
+    shadowOpacity: Math.min(1, scene.shadowOpacity * rig.shadow.opacity),
+    shadowBlur: scene.shadowBlur * rig.shadow.blur,
+    keyPosition: rig.keyPosition,
+    environment: rig.environment,
+    environmentColor: rig.environmentColor,
+    files: rig.files,
+  };
+}
@@ -0,0 +1,249 @@
+import { messageKeys } from "./messages";
+
+// ============================================
+// Showcase manifests
+// ============================================
+// A showcase can be authored as JSON instead of code: pass the `manifest`
+// prop a URL to fetch or the parsed object. Fields carry the prop names
+// they set, and props passed in code still win over the manifest:
+//   {
+//     "version": 1,
+//     "device": "iphone-14-pro",
+//     "modelPath": "/models/14_Pro_Model.glb",
+//     "screenTexture": "/textures/screen.png",
+//     "glassStagger": [0, 0.6],
+//     "accentColor": "#0071e3",
+//     "messages": { "en": { "glassHeadline": "..." } }
+//   }
+// Manifests are checked against the schema for their `version`. Invalid
+// and unknown fields are reported in development and dropped, so the
+// props they would set keep their defaults; a manifest of an unknown
+// version is ignored as a whole.
+export const MANIFEST_VERSION = 1;
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// A check returns null when the value is valid, or what was expected
+const string = (value) =>
+  typeof value === "string" ? null : "expected a string";
+
+const boolean = (value) =>
+  typeof value === "boolean" ? null : "expected true or false";
+
+const object = (value) => (isObject(value) ? null : "expected an object");
+
+const array = (value) => (Array.isArray(value) ? null : "expected an array");
+
+function number({ min = -Infinity, max = Infinity } = {}) {
+  return (value) =>
+    Number.isFinite(value) && value >= min && value <= max
+      ? null
+      : `expected a number${min > -Infinity ? ` ≥ ${min}` : ""}${
+          max < Infinity ? ` ≤ ${max}` : ""
+        }`;
+}
+
+function oneOf(values) {
+  return (value) =>
+    values.includes(value)
+      ? null
+      : `expected one of ${values.map((v) => JSON.stringify(v)).join(", ")}`;
+}
+
+function anyOf(...checks) {
+  return (value) => {
+    const problems = checks.map((check) => check(value));
+    return problems.includes(null) ? null : problems.join(" or ");
+  };
+}
+
+function nullable(check) {
+  return (value) => (value === null ? null : check(value));
+}
+
+const range = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every(Number.isFinite) &&
+  value[0] >= 0 &&
+  value[0] < value[1] &&
+  value[1] <= 1
+    ? null
+    : "expected [start, end] with 0 ≤ start < end ≤ 1";
+
+const color = (value) =>
+  typeof value === "string" &&
+  (typeof CSS === "undefined" || CSS.supports("color", value))
+    ? null
+    : "expected a CSS colour";
+
+// Catches paths to the wrong kind of file, e.g. a texture as modelPath.
+// Bundler-inlined data: and blob: URLs can't be checked.
+function asset(extensions) {
+  return (value) => {
+    if (typeof value !== "string" || !value) return "expected a URL";
+    if (/^(data|blob):/.test(value)) return null;
+    const path = value.split(/[?#]/)[0].toLowerCase();
+    return extensions.some((ext) => path.endsWith(ext))
+      ? null
+      : `expected a ${extensions.join(", ")} file`;
+  };
+}
+
+const model = asset([".glb", ".gltf"]);
+const image = asset([".png", ".jpg", ".jpeg", ".webp", ".avif", ".ktx2"]);
+
+// { [locale]: { [messageKey]: string } }
+const bundles = (value) => {
+  if (!isObject(value)) return "expected { [locale]: { [key]: text } }";
+  for (const [locale, bundle] of Object.entries(value)) {
+    if (!isObject(bundle)) return `${locale}: expected an object`;
+    for (const [key, text] of Object.entries(bundle)) {
+      if (!messageKeys.includes(key)) {
+        return `${locale}.${key}: unknown message key${suggest(
+          key,
+          messageKeys
+        )}`;
+      }
+      if (typeof text !== "string") return `${locale}.${key}: expected text`;
+    }
+  }
+  return null;
+};
+
+const copyFields = Object.fromEntries(messageKeys.map((key) => [key, string]));
+
+// Fields and their checks, per manifest version
+export const manifestSchemas = {
+  1: {
+    device: string,
+    theme: anyOf(oneOf(["dark", "light", "auto"]), object),
+    lighting: anyOf(
+      oneOf(["studio", "dramatic", "soft", "product-white"]),
+      object
+    ),
+    locale: nullable(string),
+    dir: nullable(oneOf(["ltr", "rtl"])),
+    messages: nullable(bundles),
+    mode: oneOf(["scroll", "autoplay", "stepper", "static"]),
+    scrollDistance: number({ min: 0 }),
+    autoplayDuration: number({ min: 1 }),
+    glassStagger: range,
+    oledStagger: range,
+    phoneStagger: range,
+    phoneOffset: number(),
+    modelPath: model,
+    screenTexture: image,
+    internalsTexture: image,
+    fallbackPoster: nullable(image),
+    explodeDistance: number({ min: 0 }),
+    accentColor: color,
+    backgroundColor: color,
+    textColor: color,
+    mutedTextColor: color,
+    stages: nullable(anyOf(boolean, array)),
+    camera: anyOf(boolean, object),
+    crossSection: nullable(anyOf(boolean, object)),
+    hotspots: array,
+    quality: oneOf(["auto", "low", "medium", "high", "ultra"]),
+    frameloop: oneOf(["demand", "always"]),
+    scenario: nullable(string),
+    compareScenario: nullable(string),
+    showDeviceSwitcher: boolean,
+    showScenarioToggle: boolean,
+    ...copyFields,
+  },
+};
+
+// Edit distance, for "did you mean" hints on misspelt fields
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggest(name, names) {
+  const lower = name.toLowerCase();
+  const match = names.find(
+    (candidate) => distance(lower, candidate.toLowerCase()) <= 2
+  );
+  return match ? ` (did you mean "${match}"?)` : "";
+}
+
+function describe(value) {
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+function checkFields(fields, schema, unknownFields) {
+  const props = {};
+  const errors = [];
+  Object.entries(fields).forEach(([name, value]) => {
+    const check = schema[name];
+    if (!check) {
+      if (unknownFields) {
+        errors.push(
+          `${name}: unknown field${suggest(name, Object.keys(schema))}`
+        );
+      }
+      return;
+    }
+    const problem = value === undefined ? null : check(value);
+    if (problem) {
+      errors.push(`${name}: ${problem}, got ${describe(value)}`);
+      return;
+    }
+    props[name] = value;
+  });
+  return { props, errors };
+}
+
+// → { props, errors }: the fields that passed, as props, and one
+// message per problem
+export function validateManifest(manifest) {
+  if (!isObject(manifest)) {
+    return { props: {}, errors: ["expected a JSON object"] };
+  }
+  const { version, ...fields } = manifest;
+  const schema = manifestSchemas[version];
+  if (!schema) {
+    return {
+      props: {},
+      errors: [
+        version === undefined
+          ? `version: missing, expected ${MANIFEST_VERSION}`
+          : `version: unsupported version ${describe(
+              version
+            )}, this build reads up to ${MANIFEST_VERSION}`,
+      ],
+    };
+  }
+  return checkFields(fields, schema, true);
+}
+
+// Props passed in code are checked against the current schema too. Only
+// the fields it knows are checked; callbacks and the like pass through.
+export function validateProps(props) {
+  return checkFields(props, manifestSchemas[MANIFEST_VERSION], false).errors;
+}
+
+export function loadManifest(url, { signal } = {}) {
+  return fetch(url, { signal }).then((response) => {
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+  });
+}
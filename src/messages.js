@@ -0,0 +1,319 @@
+// ============================================
+// Message bundles
+// ============================================
+// Every piece of on-screen copy, per locale. A locale only needs the keys
+// it translates: lookups fall back from "fr-CA" to "fr" to "en". Hosts can
+// add or override bundles with the `messages` prop, and the legacy copy
+// props (glassHeadline, promptText, ...) still win over any bundle.
+export const messageBundles = {
+  en: {
+    glassHeadline: "Strongest Aftermarket Front Glass",
+    glassDescription:
+      "Premium replacement glass with factory-grade OCA adhesive—fitted without touching your original display.",
+    glassLabel: "Glass",
+    oledHeadline: "Genuine Display Preserved",
+    oledDescription:
+      "Your phone's original OLED stays untouched. No aftermarket swaps. No LCD downgrades.",
+    oledLabel: "OLED",
+    phoneHeadline: "Your Phone",
+    phoneDescription:
+      "Everything else—camera, battery, logic board—exactly as it was. We only work on what's broken.",
+    phoneLabel: "Phone",
+    promptText: "Tap a layer to learn more",
+    introText: "Glass-only repair preserves your original display.",
+    scrollHint: "Scroll to explore",
+    dragHint: "Drag to rotate",
+    fallbackText: "The interactive 3D view isn't available right now.",
+    retryText: "Try again",
+    loadingText: "Loading 3D model",
+    stageCrackedTitle: "Cracked glass",
+    stageCrackedCaption:
+      "A drop cracks the front glass—but the display underneath usually survives.",
+    stageSeparateTitle: "Separate",
+    stageSeparateCaption:
+      "We lift the broken glass away from the display, layer by layer.",
+    stageInspectTitle: "Inspect OLED",
+    stageInspectCaption:
+      "Your original OLED is checked and kept, never swapped for a cheaper panel.",
+    stageReassembleTitle: "Reassemble",
+    stageReassembleCaption:
+      "New glass is bonded on and your phone goes back together as it was.",
+    scenarioGlassOnly: "Glass-only repair",
+    scenarioFullScreen: "Full screen replacement",
+    scenarioAftermarketLcd: "Aftermarket LCD",
+    statusReplaced: "Replaced",
+    statusPreserved: "Preserved",
+    statusDowngraded: "Downgraded",
+    compareLabel: "Compare repairs",
+    layerListLabel: "Phone layers",
+    viewDescription:
+      "Exploded 3D view of the {device}, {count} layers from front to back.",
+    previousStep: "Previous",
+    nextStep: "Next",
+  },
+  es: {
+    glassHeadline: "El cristal frontal de repuesto más resistente",
+    glassDescription:
+      "Cristal de repuesto premium con adhesivo OCA de calidad de fábrica, colocado sin tocar tu pantalla original.",
+    glassLabel: "Cristal",
+    oledHeadline: "Pantalla original conservada",
+    oledDescription:
+      "El OLED original de tu teléfono queda intacto. Sin pantallas genéricas. Sin degradar a LCD.",
+    oledLabel: "OLED",
+    phoneHeadline: "Tu teléfono",
+    phoneDescription:
+      "Todo lo demás —cámara, batería, placa base— queda exactamente igual. Solo reparamos lo que está roto.",
+    phoneLabel: "Teléfono",
+    promptText: "Toca una capa para saber más",
+    introText: "La reparación solo del cristal conserva tu pantalla original.",
+    scrollHint: "Desplázate para explorar",
+    dragHint: "Arrastra para girar",
+    fallbackText: "La vista 3D interactiva no está disponible ahora mismo.",
+    retryText: "Reintentar",
+    loadingText: "Cargando modelo 3D",
+    stageCrackedTitle: "Cristal roto",
+    stageCrackedCaption:
+      "Una caída rompe el cristal frontal, pero la pantalla de debajo suele sobrevivir.",
+    stageSeparateTitle: "Separar",
+    stageSeparateCaption:
+      "Retiramos el cristal roto de la pantalla, capa a capa.",
+    stageInspectTitle: "Revisar el OLED",
+    stageInspectCaption:
+      "Tu OLED original se revisa y se conserva, nunca se cambia por un panel más barato.",
+    stageReassembleTitle: "Volver a montar",
+    stageReassembleCaption:
+      "Pegamos el cristal nuevo y tu teléfono vuelve a quedar como estaba.",
+    scenarioGlassOnly: "Reparación solo del cristal",
+    scenarioFullScreen: "Cambio de pantalla completa",
+    scenarioAftermarketLcd: "LCD genérica",
+    statusReplaced: "Sustituido",
+    statusPreserved: "Conservado",
+    statusDowngraded: "Degradado",
+    compareLabel: "Comparar reparaciones",
+    layerListLabel: "Capas del teléfono",
+    viewDescription:
+      "Vista 3D desmontada del {device}, {count} capas de delante hacia atrás.",
+    previousStep: "Anterior",
+    nextStep: "Siguiente",
+  },
+  fr: {
+    glassHeadline: "La vitre de remplacement la plus résistante",
+    glassDescription:
+      "Vitre premium avec adhésif OCA de qualité usine, posée sans toucher à votre écran d'origine.",
+    glassLabel: "Vitre",
+    oledHeadline: "Écran d'origine préservé",
+    oledDescription:
+      "L'OLED d'origine de votre téléphone reste intact. Pas d'écran générique. Pas de passage au LCD.",
+    oledLabel: "OLED",
+    phoneHeadline: "Votre téléphone",
+    phoneDescription:
+      "Tout le reste — caméra, batterie, carte mère — reste tel quel. Nous ne réparons que ce qui est cassé.",
+    phoneLabel: "Téléphone",
+    promptText: "Touchez une couche pour en savoir plus",
+    introText: "Remplacer uniquement la vitre préserve votre écran d'origine.",
+    scrollHint: "Faites défiler pour explorer",
+    dragHint: "Faites glisser pour pivoter",
+    fallbackText: "La vue 3D interactive n'est pas disponible pour le moment.",
+    retryText: "Réessayer",
+    loadingText: "Chargement du modèle 3D",
+    stageCrackedTitle: "Vitre fissurée",
+    stageCrackedCaption:
+      "Une chute fissure la vitre avant, mais l'écran en dessous survit généralement.",
+    stageSeparateTitle: "Séparer",
+    stageSeparateCaption:
+      "Nous retirons la vitre cassée de l'écran, couche par couche.",
+    stageInspectTitle: "Contrôler l'OLED",
+    stageInspectCaption:
+      "Votre OLED d'origine est contrôlé et conservé, jamais remplacé par une dalle moins chère.",
+    stageReassembleTitle: "Remonter",
+    stageReassembleCaption:
+      "La nouvelle vitre est collée et votre téléphone est remonté à l'identique.",
+    scenarioGlassOnly: "Remplacement de la vitre seule",
+    scenarioFullScreen: "Remplacement complet de l'écran",
+    scenarioAftermarketLcd: "LCD générique",
+    statusReplaced: "Remplacé",
+    statusPreserved: "Préservé",
+    statusDowngraded: "Dégradé",
+    compareLabel: "Comparer les réparations",
+    layerListLabel: "Couches du téléphone",
+    viewDescription:
+      "Vue 3D éclatée de l'{device}, {count} couches de l'avant vers l'arrière.",
+    previousStep: "Précédent",
+    nextStep: "Suivant",
+  },
+  de: {
+    glassHeadline: "Das stabilste Ersatz-Frontglas",
+    glassDescription:
+      "Premium-Ersatzglas mit OCA-Kleber in Werksqualität – eingesetzt, ohne Ihr Original-Display anzufassen.",
+    glassLabel: "Glas",
+    oledHeadline: "Original-Display bleibt erhalten",
+    oledDescription:
+      "Das Original-OLED Ihres Telefons bleibt unberührt. Kein Nachbau-Display. Kein Downgrade auf LCD.",
+    oledLabel: "OLED",
+    phoneHeadline: "Ihr Telefon",
+    phoneDescription:
+      "Alles andere – Kamera, Akku, Platine – bleibt genau so, wie es war. Wir reparieren nur, was kaputt ist.",
+    phoneLabel: "Telefon",
+    promptText: "Tippen Sie auf eine Schicht für mehr Infos",
+    introText: "Die reine Glasreparatur erhält Ihr Original-Display.",
+    scrollHint: "Scrollen zum Entdecken",
+    dragHint: "Ziehen zum Drehen",
+    fallbackText: "Die interaktive 3D-Ansicht ist gerade nicht verfügbar.",
+    retryText: "Erneut versuchen",
+    loadingText: "3D-Modell wird geladen",
+    stageCrackedTitle: "Gesprungenes Glas",
+    stageCrackedCaption:
+      "Ein Sturz lässt das Frontglas springen – das Display darunter übersteht ihn meist.",
+    stageSeparateTitle: "Trennen",
+    stageSeparateCaption:
+      "Wir lösen das kaputte Glas Schicht für Schicht vom Display.",
+    stageInspectTitle: "OLED prüfen",
+    stageInspectCaption:
+      "Ihr Original-OLED wird geprüft und behalten, nie gegen ein billigeres Panel getauscht.",
+    stageReassembleTitle: "Zusammensetzen",
+    stageReassembleCaption:
+      "Das neue Glas wird verklebt und Ihr Telefon wieder wie vorher zusammengesetzt.",
+    scenarioGlassOnly: "Reine Glasreparatur",
+    scenarioFullScreen: "Kompletter Displaytausch",
+    scenarioAftermarketLcd: "Nachbau-LCD",
+    statusReplaced: "Ersetzt",
+    statusPreserved: "Erhalten",
+    statusDowngraded: "Herabgestuft",
+    compareLabel: "Reparaturen vergleichen",
+    layerListLabel: "Schichten des Telefons",
+    viewDescription:
+      "Explosionsansicht des {device} in 3D, {count} Schichten von vorne nach hinten.",
+    previousStep: "Zurück",
+    nextStep: "Weiter",
+  },
+  // Right-to-left: mirrors the info panel and progress bar
+  ar: {
+    glassHeadline: "أقوى زجاج أمامي بديل",
+    glassDescription:
+      "زجاج بديل فاخر بلاصق OCA بجودة المصنع، يُركَّب دون لمس شاشتك الأصلية.",
+    glassLabel: "الزجاج",
+    oledHeadline: "الشاشة الأصلية محفوظة",
+    oledDescription:
+      "تبقى شاشة OLED الأصلية في هاتفك كما هي. لا شاشات بديلة. لا تخفيض إلى LCD.",
+    oledLabel: "OLED",
+    phoneHeadline: "هاتفك",
+    phoneDescription:
+      "كل ما عدا ذلك — الكاميرا والبطارية واللوحة الأم — يبقى كما كان تمامًا. نصلح فقط ما هو مكسور.",
+    phoneLabel: "الهاتف",
+    promptText: "اضغط على طبقة لمعرفة المزيد",
+    introText: "إصلاح الزجاج وحده يحافظ على شاشتك الأصلية.",
+    scrollHint: "مرّر للاستكشاف",
+    dragHint: "اسحب للتدوير",
+    fallbackText: "العرض التفاعلي ثلاثي الأبعاد غير متاح حاليًا.",
+    retryText: "حاول مرة أخرى",
+    loadingText: "جارٍ تحميل النموذج ثلاثي الأبعاد",
+    stageCrackedTitle: "زجاج متشقق",
+    stageCrackedCaption:
+      "سقطة واحدة تشق الزجاج الأمامي، لكن الشاشة تحته تنجو في الغالب.",
+    stageSeparateTitle: "الفصل",
+    stageSeparateCaption: "نفصل الزجاج المكسور عن الشاشة طبقةً طبقة.",
+    stageInspectTitle: "فحص OLED",
+    stageInspectCaption:
+      "نفحص شاشة OLED الأصلية ونحتفظ بها، ولا نستبدلها أبدًا بلوحة أرخص.",
+    stageReassembleTitle: "إعادة التجميع",
+    stageReassembleCaption: "نلصق الزجاج الجديد ويعود هاتفك كما كان.",
+    scenarioGlassOnly: "إصلاح الزجاج فقط",
+    scenarioFullScreen: "استبدال الشاشة بالكامل",
+    scenarioAftermarketLcd: "شاشة LCD بديلة",
+    statusReplaced: "مستبدل",
+    statusPreserved: "محفوظ",
+    statusDowngraded: "أقل جودة",
+    compareLabel: "قارن بين الإصلاحات",
+    layerListLabel: "طبقات الهاتف",
+    viewDescription:
+      "عرض مفكك ثلاثي الأبعاد لجهاز {device}، {count} طبقات من الأمام إلى الخلف.",
+    previousStep: "السابق",
+    nextStep: "التالي",
+  },
+};
+
+export const messageKeys = Object.keys(messageBundles.en);
+
+const RTL_LANGUAGES = ["ar", "he", "fa", "ur", "yi", "ps", "sd", "ug"];
+
+// Explicit prop, then the page's <html lang>, then the browser, then "en"
+export function resolveLocale(locale) {
+  if (locale) return locale;
+  if (typeof document !== "undefined" && document.documentElement.lang) {
+    return document.documentElement.lang;
+  }
+  if (typeof navigator !== "undefined" && navigator.language) {
+    return navigator.language;
+  }
+  return "en";
+}
+
+// "pt-BR" → ["pt-BR", "pt", "en"]
+function localeChain(locale) {
+  const parts = locale.split("-");
+  const chain = [];
+  for (let i = parts.length; i > 0; i--) {
+    chain.push(parts.slice(0, i).join("-"));
+  }
+  if (!chain.includes("en")) chain.push("en");
+  return chain;
+}
+
+export function resolveMessages(locale, extraBundles) {
+  const messages = {};
+  localeChain(locale)
+    .reverse()
+    .forEach((tag) => {
+      Object.assign(messages, messageBundles[tag], extraBundles?.[tag]);
+    });
+  return messages;
+}
+
+// "{device}, {count} layers" → "iPhone 14 Pro, 3 layers"
+export function formatMessage(message, values) {
+  return message.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? String(values[key]) : match
+  );
+}
+
+export function localeDirection(locale) {
+  return RTL_LANGUAGES.includes(locale.split("-")[0].toLowerCase())
+    ? "rtl"
+    : "ltr";
+}
+
+// System UI fonts for the script each language is written in
+const SCRIPT_FONTS = {
+  ja: "'Hiragino Sans', 'Hiragino Kaku Gothic ProN', 'Yu Gothic', Meiryo",
+  zh: "'PingFang SC', 'Microsoft YaHei', 'Noto Sans SC'",
+  "zh-TW": "'PingFang TC', 'Microsoft JhengHei', 'Noto Sans TC'",
+  "zh-HK": "'PingFang HK', 'Microsoft JhengHei', 'Noto Sans TC'",
+  // The script subtag wins over the region: zh-Hant-* is Traditional and
+  // zh-Hans-* Simplified
+  "zh-Hant": "'PingFang TC', 'Microsoft JhengHei', 'Noto Sans TC'",
+  "zh-Hant-HK": "'PingFang HK', 'Microsoft JhengHei', 'Noto Sans TC'",
+  "zh-Hans": "'PingFang SC', 'Microsoft YaHei', 'Noto Sans SC'",
+  ko: "'Apple SD Gothic Neo', 'Malgun Gothic', 'Noto Sans KR'",
+  ar: "'SF Arabic', 'Geeza Pro', 'Segoe UI', 'Noto Sans Arabic'",
+  fa: "'SF Arabic', 'Geeza Pro', 'Segoe UI', 'Noto Sans Arabic'",
+  ur: "'SF Arabic', 'Geeza Pro', 'Segoe UI', 'Noto Sans Arabic'",
+  he: "'SF Hebrew', 'Arial Hebrew', 'Segoe UI', 'Noto Sans Hebrew'",
+  th: "'Thonburi', 'Leelawadee UI', 'Noto Sans Thai'",
+  hi: "'Kohinoor Devanagari', 'Nirmala UI', 'Noto Sans Devanagari'",
+};
+
+// "zh-hant-tw" → "zh-Hant-TW", so tags match SCRIPT_FONTS whatever their case
+function canonicalLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (e) {
+    return locale;
+  }
+}
+
+export function fontStackFor(locale) {
+  const chain = localeChain(canonicalLocale(locale));
+  const script =
+    SCRIPT_FONTS[chain.find((tag) => SCRIPT_FONTS[tag])] || "'SF Pro Display'";
+  return `${script}, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+}
@@ -0,0 +1,44 @@
+// ============================================
+// Repair scenarios
+// ============================================
+// What each kind of repair does to each layer, keyed by layer id:
+//   replaced   — swapped for a new part
+//   preserved  — the original part stays
+//   downgraded — swapped for a lower-grade part
+// Layers a scenario doesn't list are drawn without colour coding. Names
+// come from the message bundles via `nameKey` unless `name` is given.
+export const scenarioCatalog = {
+  "glass-only": {
+    nameKey: "scenarioGlassOnly",
+    layers: { glass: "replaced", oled: "preserved", phone: "preserved" },
+  },
+  "full-screen": {
+    nameKey: "scenarioFullScreen",
+    layers: { glass: "replaced", oled: "replaced", phone: "preserved" },
+  },
+  "aftermarket-lcd": {
+    nameKey: "scenarioAftermarketLcd",
+    layers: { glass: "replaced", oled: "downgraded", phone: "preserved" },
+  },
+};
+
+export const scenarioStatuses = ["replaced", "preserved", "downgraded"];
+
+// Message key for a status label, e.g. "statusPreserved"
+export function statusMessageKey(status) {
+  return `status${status[0].toUpperCase()}${status.slice(1)}`;
+}
+
+export function scenarioName(scenario, id, copy) {
+  return scenario.name || copy[scenario.nameKey] || id;
+}
+
+// { [layerId]: colour } for every layer the scenario marks
+export function scenarioTints(scenario, statusColors) {
+  if (!scenario) return null;
+  const tints = {};
+  Object.entries(scenario.layers).forEach(([layerId, status]) => {
+    if (statusColors[status]) tints[layerId] = statusColors[status];
+  });
+  return tints;
+}
@@ -0,0 +1,137 @@
+// ============================================
+// Themes
+// ============================================
+// Colours, typography and spacing for the HTML around the canvas, plus the
+// light rig and contact shadow that suit the background. The HTML reads
+// everything through CSS custom properties (see themeVariables), so a host
+// page can also restyle a section from its own stylesheet.
+//   colorScheme  — native control/scrollbar scheme for the section
+//   badge        — layer label background; null mixes it from accent
+//   fontFamily   — null picks a stack for the locale's script
+//   status       — repair scenario colour per layer status
+//   scene        — light intensities/colours and ContactShadows settings
+export const themes = {
+  dark: {
+    colorScheme: "dark",
+    background: "#0a0a0c",
+    text: "rgba(255, 255, 255, 0.95)",
+    mutedText: "rgba(255, 255, 255, 0.5)",
+    faintText: "rgba(255, 255, 255, 0.3)",
+    accent: "rgba(100, 160, 255, 1)",
+    badge: null,
+    track: "rgba(255, 255, 255, 0.1)",
+    panel: "rgba(10, 10, 12, 0.8)",
+    status: {
+      replaced: "#ffb340",
+      preserved: "#30d158",
+      downgraded: "#ff453a",
+    },
+    fontFamily: null,
+    fontSize: {
+      headline: 20,
+      title: 16,
+      body: 15,
+      small: 13,
+      label: 12,
+      caption: 11,
+    },
+    spacing: { page: 24, section: 28 },
+    scene: {
+      ambient: 0.8,
+      key: 1.5,
+      fill: 0.8,
+      fillColor: "#e8f0ff",
+      point: 0.5,
+      pointColor: "#4080ff",
+      shadowColor: "#000000",
+      shadowOpacity: 0.5,
+      shadowBlur: 2.5,
+    },
+  },
+  light: {
+    colorScheme: "light",
+    background: "#f5f5f7",
+    text: "rgba(0, 0, 0, 0.9)",
+    mutedText: "rgba(0, 0, 0, 0.56)",
+    faintText: "rgba(0, 0, 0, 0.35)",
+    accent: "rgba(0, 113, 227, 1)",
+    badge: null,
+    track: "rgba(0, 0, 0, 0.1)",
+    panel: "rgba(255, 255, 255, 0.9)",
+    status: {
+      replaced: "#c77700",
+      preserved: "#1f9d45",
+      downgraded: "#d70015",
+    },
+    fontFamily: null,
+    fontSize: {
+      headline: 20,
+      title: 16,
+      body: 15,
+      small: 13,
+      label: 12,
+      caption: 11,
+    },
+    spacing: { page: 24, section: 28 },
+    scene: {
+      ambient: 1.1,
+      key: 1.2,
+      fill: 0.6,
+      fillColor: "#ffffff",
+      point: 0.2,
+      pointColor: "#a0b8ff",
+      shadowColor: "#1a1a2a",
+      shadowOpacity: 0.3,
+      shadowBlur: 3,
+    },
+  },
+};
+
+// `theme` is a preset name, "auto" (follows prefers-color-scheme) or an
+// object of overrides with an optional `extends` preset name
+export function resolveTheme(theme, prefersDark) {
+  const auto = prefersDark ? "dark" : "light";
+  if (!theme || typeof theme === "string") {
+    return themes[theme === "auto" ? auto : theme] || themes.dark;
+  }
+  const baseName = theme.extends === "auto" ? auto : theme.extends;
+  const base = themes[baseName] || themes.dark;
+  return {
+    ...base,
+    ...theme,
+    fontSize: { ...base.fontSize, ...theme.fontSize },
+    spacing: { ...base.spacing, ...theme.spacing },
+    status: { ...base.status, ...theme.status },
+    scene: { ...base.scene, ...theme.scene },
+  };
+}
+
+export function themeVariables(theme, fontFamily) {
+  return {
+    "--iglass-background": theme.background,
+    "--iglass-text": theme.text,
+    "--iglass-muted": theme.mutedText,
+    "--iglass-faint": theme.faintText,
+    "--iglass-accent": theme.accent,
+    "--iglass-badge":
+      theme.badge ||
+      "color-mix(in srgb, var(--iglass-accent) 15%, transparent)",
+    "--iglass-track": theme.track,
+    "--iglass-panel": theme.panel,
+    "--iglass-font": theme.fontFamily || fontFamily,
+    ...Object.fromEntries(
+      Object.entries(theme.fontSize).map(([name, size]) => [
+        `--iglass-font-${name}`,
+        `${size}px`,
+      ])
+    ),
+    ...Object.fromEntries(
+      Object.entries(theme.status).map(([status, color]) => [
+        `--iglass-status-${status}`,
+        color,
+      ])
+    ),
+    "--iglass-space-page": `${theme.spacing.page}px`,
+    "--iglass-space-section": `${theme.spacing.section}px`,
+  };
+}